@@ -2,6 +2,8 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const FONT_PATH = path.join(__dirname, 'assets', 'Inter.ttf');
 
 // ✅ Safe font embedding (no crash if file missing)
@@ -48,47 +50,6 @@ let _canvas = null;
 try { _canvas = require('canvas'); }
 catch (e) { console.warn('[img] canvas not available:', e.message); }
 
-// Helper to rasterize the text overlay using the bundled font
-async function rasterizeTextOverlayPNG(W, H, titleLines, titleFontPx, planText, planFontPx) {
-  if (!_canvas) return null;
-  const { createCanvas, registerFont } = _canvas;
-
-  try { registerFont(FONT_PATH, { family: 'AppInter' }); }
-  catch (e) { /* ignore re-register errors */ }
-
-  const c = createCanvas(W, H);
-  const ctx = c.getContext('2d');
-
-  ctx.fillStyle = 'rgba(0,0,0,0.35)';
-  ctx.fillRect(0, 0, W, H);
-
-  ctx.fillStyle = '#FFFFFF';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'alphabetic';
-  ctx.font = `800 ${titleFontPx}px AppInter`;
-
-  const lhTitle = 1.15;
-  const titleBlockHeight = Math.round(titleFontPx * (titleLines.length + (titleLines.length - 1) * (lhTitle - 1)));
-  const titleYStart = Math.round(H * 0.50) - Math.round(titleBlockHeight * 0.25);
-
-  let y = titleYStart;
-  for (let i = 0; i < titleLines.length; i++) {
-    if (i > 0) y += Math.round(titleFontPx * lhTitle);
-    ctx.fillText(titleLines[i], W / 2, y);
-  }
-
-  if (planText) {
-    const minGapPx = Math.max(Math.round(titleFontPx * 0.22), 28);
-    const lastBaseline = y;
-    const planY = lastBaseline + Math.round(titleFontPx * 0.9) + minGapPx;
-
-    ctx.fillStyle = '#E5E7EB';
-    ctx.font = `600 ${planFontPx}px AppInter`;
-    ctx.fillText(planText, W / 2, planY);
-  }
-
-  return c.toBuffer('image/png');
-}
 
 const { Telegraf, session, Markup } = require('telegraf');
 const { createClient } = require('@supabase/supabase-js');
@@ -127,7 +88,8 @@ const ADMIN_IDS = (process.env.ADMIN_IDS || '7057639075')
   .split(',').map(s => Number(s.trim())).filter(n => Number.isFinite(n) && n>0);
 
 const TABLES = { products: 'products', exclusive: 'exclusive_products' };
-const CATEGORIES_ALLOWED = ['OTT Accounts', 'IPTV', 'Product Key', 'Download'];
+// Built-in taxonomy; the live tree is loaded from Supabase (see "category taxonomy").
+const DEFAULT_CATEGORY_TREE = ['OTT Accounts', 'IPTV', 'Product Key', 'Download'].map(name => ({ name, subcategories: [] }));
 
 const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN, { handlerTimeout: 90000 });
 bot.webhookReply = false;
@@ -175,7 +137,8 @@ function startIdleTimer(ctx) {
 }
 
 /* -------------------- utils -------------------- */
-const isAdmin = (ctx) => !!ctx?.from && ADMIN_IDS.includes(ctx.from.id);
+// Any known role (viewer and up). Finer checks go through hasRole / the permission middleware.
+const isAdmin = (ctx) => !!ctx?.from && (ADMIN_IDS.includes(ctx.from.id) || !!ctx.state?.role);
 const ok = (x) => typeof x !== 'undefined' && x !== null && x !== '';
 const toStr = (v) => String(v ?? '');
 const escapeMd = (v = '') => toStr(v).replace(/([_*[\]()~`>#+\-=|{}.!])/g, '\\$1');
@@ -208,12 +171,167 @@ const sleep = (ms)=>new Promise(r=>setTimeout(r, ms));
 async function tryWithRetries(label, fn, attempts = 2, baseDelay = 800) { let lastErr; for (let i=0;i<attempts;i++) { try { return await fn(i); } catch (e) { lastErr = e; console.warn(`[retry] ${label} attempt ${i+1} failed: ${e.message}`); await sleep(baseDelay * Math.pow(2, i)); } } if (lastErr) console.warn(`[retry] ${label} giving up after ${attempts} attempts: ${lastErr.message}`); return null; }
 const TEXT_RETRIES = Math.max(1, parseInt(process.env.TEXT_RETRIES||'2',10));
 const IMAGE_RETRIES = Math.max(1, parseInt(process.env.IMAGE_RETRIES||'2',10));
-function normalizeCategory(prodLike = {}, aiCategory) { if (CATEGORIES_ALLOWED.includes(aiCategory)) return aiCategory; const hay = [prodLike.name, prodLike.description, prodLike.category, prodLike.subcategory, Array.isArray(prodLike.tags) ? prodLike.tags.join(' ') : prodLike.tags].filter(Boolean).join(' '); const cat = CATEGORIES_ALLOWED.find(c => new RegExp(c.split(' ')[0], 'i').test(hay)); return cat || 'Download'; }
 const URL_RX = /(https?:\/\/[^\s)]+)|(www\.[^\s)]+)/ig;
-async function fetchWebsiteRaw(url) { if (!url) return { html: '', text: '' }; const normalized = url.startsWith('http') ? url : `https://${url}`; const toText = (html) => html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '').replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(); try { const res = await fetch(normalized, { headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)', 'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8', }, redirect: 'follow', signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(12000) : undefined, }); if (res.ok) { const html = await res.text(); const text = toText(html); if (text.length > 200) return { html, text }; } } catch {} try { const proxied = normalized.replace(/^https?:\/\//, ''); const res2 = await fetch(`https://r.jina.ai/${proxied}`, { headers: { 'user-agent': 'Mozilla/5.0' }, signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(12000) : undefined, }); if (res2.ok) { const txt = await res2.text(); if (txt && txt.length > 200) return { html: '', text: txt.slice(0, 20000) }; } } catch {} return { html: '', text: '' }; }
+async function fetchWebsiteRawUncached(url, { timeoutMs = 12000 } = {}) { if (!url) return { html: '', text: '' }; const startedAt = Date.now(); const normalized = url.startsWith('http') ? url : `https://${url}`; const toText = (html) => html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '').replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(); try { const res = await fetch(normalized, { headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)', 'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8', }, redirect: 'follow', signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(Math.min(12000, timeoutMs)) : undefined, }); if (res.ok) { const html = await res.text(); const text = toText(html); if (text.length > 200) return { html, text }; } } catch {} const left = timeoutMs - (Date.now() - startedAt); if (left < 1500) return { html: '', text: '' }; try { const proxied = normalized.replace(/^https?:\/\//, ''); const res2 = await fetch(`https://r.jina.ai/${proxied}`, { headers: { 'user-agent': 'Mozilla/5.0' }, signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(Math.min(12000, left)) : undefined, }); if (res2.ok) { const txt = await res2.text(); if (txt && txt.length > 200) return { html: '', text: txt.slice(0, 20000) }; } } catch {} return { html: '', text: '' }; }
+
+/* ---- category taxonomy ---- */
+// Table: product_categories (id bigserial primary key, name text not null, parent text, sort int default 0, created_at timestamptz)
+// Rows with a null parent are categories; rows with a parent are its subcategories. Unique (coalesce(parent, ''), name).
+// DEFAULT_CATEGORY_TREE is used until the table has rows, or when it cannot be read.
+const CATEGORIES_TABLE = process.env.CATEGORIES_TABLE || 'product_categories';
+const CATEGORY_CACHE_MS = Math.max(0, parseInt(process.env.CATEGORY_CACHE_MS || '300000', 10));
+let categoryTree = DEFAULT_CATEGORY_TREE;
+let categoryTreeAt = 0;
+
+const categoryNames = () => categoryTree.map(c => c.name);
+const categoryKey = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+async function loadCategoryTree(force = false) {
+  if (!force && categoryTreeAt && Date.now() - categoryTreeAt < CATEGORY_CACHE_MS) return categoryTree;
+  const { data, error } = await supabase.from(CATEGORIES_TABLE).select('name,parent,sort').order('sort').order('name');
+  if (error) { console.warn('[categories] load failed, keeping current tree:', error.message); return categoryTree; }
+  const cats = (data || []).filter(r => !r.parent).map(r => ({ name: r.name, subcategories: [] }));
+  for (const r of (data || []).filter(r => r.parent)) cats.find(c => c.name === r.parent)?.subcategories.push(r.name);
+  categoryTree = cats.length ? cats : DEFAULT_CATEGORY_TREE;
+  categoryTreeAt = Date.now();
+  return categoryTree;
+}
+
+// Exact (ignoring case/punctuation) first, then a small typo allowance.
+function matchName(list, value) {
+  const k = categoryKey(value);
+  if (!k || k === 'unknown') return null;
+  return list.find(n => categoryKey(n) === k) || list.find(n => levenshtein(categoryKey(n), k) <= (k.length > 5 ? 2 : 1)) || null;
+}
+const findCategory = (value) => categoryTree.find(c => c.name === matchName(categoryNames(), value)) || null;
+const findSubcategory = (category, value) => matchName(findCategory(category)?.subcategories || [], value);
+
+function fallbackCategory() {
+  return findCategory(process.env.DEFAULT_CATEGORY || 'Download')?.name || categoryNames()[0];
+}
+
+function categoryHaystack(prodLike = {}) {
+  return [prodLike.name, prodLike.description, prodLike.category, prodLike.subcategory, Array.isArray(prodLike.tags) ? prodLike.tags.join(' ') : prodLike.tags]
+    .filter(Boolean).join(' ').toLowerCase();
+}
+
+// Full category names beat subcategory names, which beat a lone first word.
+function normalizeCategory(prodLike = {}, aiCategory) {
+  const direct = findCategory(aiCategory);
+  if (direct) return direct.name;
+  const hay = categoryHaystack(prodLike);
+  const wordIn = (w) => new RegExp(`(^|[^a-z0-9])${w.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`).test(hay);
+  const cat = categoryTree.find(c => wordIn(c.name))
+    || categoryTree.find(c => c.subcategories.some(wordIn))
+    || categoryTree.find(c => wordIn(c.name.split(' ')[0]));
+  return cat?.name || fallbackCategory();
+}
+
+// Snaps to the category's own subcategory list when it has one; free text is only kept for categories without a list.
+function normalizeSubcategory(category, aiSubcategory, prodLike = {}) {
+  const cat = findCategory(category);
+  if (!cat?.subcategories.length) return aiSubcategory && aiSubcategory !== 'unknown' ? String(aiSubcategory) : 'unknown';
+  const hit = findSubcategory(cat.name, aiSubcategory);
+  if (hit) return hit;
+  const hay = categoryHaystack(prodLike);
+  return cat.subcategories.find(s => hay.includes(s.toLowerCase())) || 'unknown';
+}
+
+function describeCategoryTree({ bullets = false } = {}) {
+  return categoryTree.map(c => {
+    const subs = c.subcategories.length ? c.subcategories.join(', ') : (bullets ? '—' : 'any');
+    return bullets ? `• ${c.name}: ${subs}` : `${c.name} (${subs})`;
+  }).join(bullets ? '\n' : '; ');
+}
+
+/* ---- structured price parsing ---- */
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'INR').toUpperCase();
+const CURRENCY_ALIASES = [
+  [/^(₹|rs\.?|inr|rupees?)$/i, 'INR'], [/^(us\$|\$|usd|dollars?)$/i, 'USD'], [/^(€|eur|euros?)$/i, 'EUR'],
+  [/^(£|gbp|pounds?)$/i, 'GBP'], [/^(¥|jpy|yen)$/i, 'JPY'], [/^(aed|dirhams?)$/i, 'AED'], [/^(a\$|aud)$/i, 'AUD'],
+  [/^(c\$|cad)$/i, 'CAD'], [/^(s\$|sgd)$/i, 'SGD'],
+];
+const PERIOD_ALIASES = [
+  [/^(months?|mo|mon|monthly|mth)$/i, 'month'], [/^(years?|yr|yrs|annum|annual|annually|yearly)$/i, 'year'],
+  [/^(weeks?|wk|weekly)$/i, 'week'], [/^(days?|daily)$/i, 'day'],
+];
+const currencyCode = (tok) => tok ? (CURRENCY_ALIASES.find(([rx]) => rx.test(tok.trim())) || [])[1] || null : null;
+const periodName = (tok) => tok ? (PERIOD_ALIASES.find(([rx]) => rx.test(tok.trim())) || [])[1] || null : null;
+
+const MONEY_RX = /(₹|rs\.?|inr|us\$|a\$|c\$|s\$|\$|usd|€|eur|£|gbp|¥|jpy|aed|aud|cad|sgd)?\s*(\d{1,3}(?:,\d{2,3})+|\d+)(?:\.(\d{1,2}))?(?:\s*(inr|usd|eur|gbp|jpy|aed|aud|cad|sgd|rupees?|dollars?|euros?)\b)?/gi;
+const QUANTITY_AFTER_RX = /^\s*(?:\+\s*)?(months?|mo\b|years?|yrs?\b|weeks?|days?|hours?|gb|tb|mb|users?|screens?|devices?|profiles?|accounts?|x\b|%|k\b)/i;
+const ORIGINAL_BEFORE_RX = /(was|mrp|m\.r\.p\.?|original(?:ly)?|regular|list price|actual|retail|worth|~~|strike)\W*$/i;
+
+// "₹199/month, was ₹499" -> { price: 199, originalPrice: 499, currency: 'INR', billingPeriod: 'month', min: 199, max: 199 }
+// Returns null fields when nothing price-like is found.
+function parsePriceInfo(raw, fallbackCurrency = null) {
+  const empty = { price: null, originalPrice: null, currency: fallbackCurrency, billingPeriod: null, min: null, max: null };
+  if (raw === null || raw === undefined || raw === '') return empty;
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { ...empty, price: raw, min: raw, max: raw } : empty;
+  const text = String(raw);
+
+  const tokens = [];
+  for (const m of text.matchAll(MONEY_RX)) {
+    const amount = parseFloat(`${m[2].replace(/,/g, '')}${m[3] ? '.' + m[3] : ''}`);
+    if (!Number.isFinite(amount)) continue;
+    const end = m.index + m[0].length;
+    const after = text.slice(end, end + 24);
+    const before = text.slice(Math.max(0, m.index - 24), m.index);
+    const currency = currencyCode(m[1]) || currencyCode(m[4]);
+    if (!currency && QUANTITY_AFTER_RX.test(after)) continue;
+    const per = after.match(/^\s*(?:\/|per\b|a\b|every\b|\bfor\b)?\s*(\d+\s*)?([a-z]+)/i);
+    const period = per && periodName(per[2]) ? (per[1] ? `${parseInt(per[1], 10)} ${periodName(per[2])}s` : periodName(per[2])) : null;
+    tokens.push({ amount: Math.round(amount * 100) / 100, currency, period, index: m.index, end, isOriginal: ORIGINAL_BEFORE_RX.test(before) });
+  }
+  if (!tokens.length) return empty;
+
+  const withCurrency = tokens.filter(t => t.currency);
+  const pool = withCurrency.length ? withCurrency : tokens;
+  const sale = pool.filter(t => !t.isOriginal);
+  const original = pool.filter(t => t.isOriginal);
+  const main = sale[0] || pool[0];
+
+  // "₹199 - ₹499" / "199 to 499" right after the main price is a range.
+  let min = main.amount, max = main.amount;
+  const next = pool[pool.indexOf(main) + 1];
+  if (next && !next.isOriginal && /^\s*(?:-|–|—|to)\s*$/i.test(text.slice(main.end, next.index))) {
+    min = Math.min(main.amount, next.amount); max = Math.max(main.amount, next.amount);
+  }
+
+  let originalPrice = original[0]?.amount ?? null;
+  if (originalPrice !== null && originalPrice <= main.amount) originalPrice = null;
+
+  const lifetime = /\b(lifetime|one[-\s]?time|forever)\b/i.test(text) ? 'lifetime' : null;
+  return {
+    price: min,
+    originalPrice,
+    currency: main.currency || original[0]?.currency || fallbackCurrency,
+    billingPeriod: main.period || (next && next.period) || tokens.find(t => t.period)?.period || lifetime,
+    min, max,
+  };
+}
+
+function formatPrice(amount, currency = DEFAULT_CURRENCY) {
+  if (amount === null || amount === undefined || amount === '' || !Number.isFinite(Number(amount))) return '-';
+  const n = Number(amount);
+  const code = currency || DEFAULT_CURRENCY;
+  try {
+    return new Intl.NumberFormat(code === 'INR' ? 'en-IN' : 'en-US', { style: 'currency', currency: code, maximumFractionDigits: Number.isInteger(n) ? 0 : 2 }).format(n);
+  } catch {
+    return `${code} ${n}`;
+  }
+}
+
+const pickPriceFields = (info) => ({ price: info.price, originalPrice: info.originalPrice, currency: info.currency, billingPeriod: info.billingPeriod });
+
+const formatPriceWithPeriod = (amount, currency, period) => {
+  const p = formatPrice(amount, currency);
+  if (p === '-' || !period) return p;
+  return period === 'lifetime' ? `${p} (lifetime)` : `${p}/${period}`;
+};
 
 // RESTORED: Definition for pollinationsTextJSON was missing.
-async function pollinationsTextJSON(systemPrompt, userPrompt, model = 'searchgpt') {
+async function pollinationsTextJSON(systemPrompt, userPrompt, model = 'searchgpt', timeoutMs = 20000) {
   try {
     const res = await fetch('https://text.pollinations.ai/openai/v1/chat/completions', {
       method: 'POST',
@@ -226,7 +344,7 @@ async function pollinationsTextJSON(systemPrompt, userPrompt, model = 'searchgpt
           { role: 'user', content: userPrompt }
         ]
       }),
-      signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(20000) : undefined,
+      signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(timeoutMs) : undefined,
     });
     if (!res.ok) throw new Error(`Pollinations text HTTP ${res.status}`);
     const data = await res.json();
@@ -240,7 +358,7 @@ async function pollinationsTextJSON(systemPrompt, userPrompt, model = 'searchgpt
 
 // RESTORED: Definition for geminiTextJSON was missing.
 let _geminiIndex = 0;
-async function geminiTextJSON(systemPrompt, userPrompt) {
+async function geminiTextJSON(systemPrompt, userPrompt, timeoutMs = 25000) {
   if (!GEMINI_KEYS.length) {
     console.warn('[text] Gemini skipped: no GEMINI_API_KEYS set');
     return null;
@@ -261,7 +379,7 @@ async function geminiTextJSON(systemPrompt, userPrompt) {
           method: 'POST',
           headers: { 'content-type': 'application/json' },
           body: JSON.stringify(body),
-          signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(25000) : undefined,
+          signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(timeoutMs) : undefined,
         }
       );
 
@@ -321,88 +439,401 @@ async function generateTextFromHuggingFace(systemPrompt, userPrompt) {
   }
 }
 
-// CHANGED: This function now uses the GROQ_TEXT_MODEL from your .env file.
-async function getTextFromProvider(provider, systemPrompt, userPrompt) {
-  if (provider === 'pollinations') {
-    return await pollinationsTextJSON(systemPrompt, userPrompt, 'searchgpt');
-  }
-  if (provider === 'groq') {
-    try {
-      // Use the model from .env, with a fallback just in case.
-      const model = process.env.GROQ_TEXT_MODEL || 'llama-3.1-70b-versatile';
-      console.log(`[text] Using Groq model: ${model}`);
-      
-      const r = await groq.chat.completions.create({
-        messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: userPrompt }],
-        model: model,
+/* ---- text provider registry ---- */
+// Each provider: { id, label, env: [[...any-of]], timeoutMs, fallbackOnly?, callJSON(systemPrompt, userPrompt, { timeoutMs }) }
+// `env` is a list of requirements; each requirement is satisfied when any of its vars is set.
+const TEXT_PROVIDERS = new Map();
+
+function registerTextProvider(def) {
+  if (!def?.id || typeof def.callJSON !== 'function') throw new Error('text provider needs id + callJSON');
+  TEXT_PROVIDERS.set(def.id, { env: [], timeoutMs: 25000, label: def.id, ...def });
+}
+
+const isTextProviderConfigured = (id) => {
+  const p = TEXT_PROVIDERS.get(id);
+  return !!p && p.env.every(anyOf => [].concat(anyOf).some(k => !!process.env[k]));
+};
+const configuredTextProviders = () => Array.from(TEXT_PROVIDERS.values()).filter(p => isTextProviderConfigured(p.id));
+
+function withTimeout(promise, ms, label = 'operation') {
+  let t;
+  return Promise.race([
+    promise,
+    new Promise((_, rej) => { t = setTimeout(() => rej(new Error(`${label} timed out after ${ms}ms`)), ms); }),
+  ]).finally(() => clearTimeout(t));
+}
+
+// Any OpenAI-style /chat/completions endpoint (Groq, OpenRouter, Ollama, llama.cpp, vLLM...).
+// jsonMode: true = always send response_format, false = never, 'auto' = try it and drop it
+// for good if the server/model rejects the parameter.
+function openAICompatibleProvider({ id, label, baseURL, apiKey, model, env = [], timeoutMs = 25000, jsonMode = true }) {
+  let client = null;
+  let useResponseFormat = jsonMode !== false;
+  const rejectsResponseFormat = (e) => (e?.status === 400 || e?.status === 422 || e?.status === 501) && /response_format|json_object|json mode|not supported|unsupported/i.test(e?.message || '');
+
+  return {
+    id, label, env, timeoutMs,
+    async callJSON(systemPrompt, userPrompt, opts = {}) {
+      client = client || new OpenAI({ apiKey: apiKey() || 'not-needed', baseURL: baseURL(), maxRetries: 0 });
+      const m = model();
+      console.log(`[text] Using ${label} model: ${m}`);
+      const request = (withFormat) => client.chat.completions.create({
+        messages: [
+          { role: 'system', content: withFormat ? systemPrompt : `${systemPrompt}\nIMPORTANT: Output ONLY one raw JSON object. No prose, no code fences.` },
+          { role: 'user', content: userPrompt },
+        ],
+        model: m,
         temperature: 0.1,
-        response_format: { type: 'json_object' },
-      });
+        ...(withFormat ? { response_format: { type: 'json_object' } } : {}),
+      }, { timeout: opts.timeoutMs || timeoutMs });
+
+      let r;
+      try {
+        r = await request(useResponseFormat);
+      } catch (e) {
+        if (!(useResponseFormat && jsonMode === 'auto' && rejectsResponseFormat(e))) throw e;
+        console.warn(`[text] ${id}: response_format not supported, falling back to prompt-only JSON`);
+        useResponseFormat = false;
+        r = await request(false);
+      }
       const s = r.choices[0]?.message?.content || '';
       return safeParseFirstJsonObject(s) ?? (s ? JSON.parse(s) : null);
-    } catch (e) {
-      console.warn(`[text] Groq failed: ${e.message}`);
-      return null;
-    }
+    },
+  };
+}
+
+// Self-hosted endpoint (Ollama: http://localhost:11434/v1, llama.cpp server: http://localhost:8080/v1, vLLM...).
+// Registered first so a configured local model is preferred by default.
+const LOCAL_LLM_JSON_MODE = (process.env.LOCAL_LLM_JSON_MODE || 'auto').toLowerCase();
+registerTextProvider(openAICompatibleProvider({
+  id: 'local', label: '🏠 Local LLM', env: [['LOCAL_LLM_BASE_URL']],
+  timeoutMs: Math.max(5000, parseInt(process.env.LOCAL_LLM_TIMEOUT_MS || '120000', 10)),
+  baseURL: () => process.env.LOCAL_LLM_BASE_URL.replace(/\/+$/, ''),
+  apiKey: () => process.env.LOCAL_LLM_API_KEY,
+  model: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  jsonMode: LOCAL_LLM_JSON_MODE === 'on' ? true : LOCAL_LLM_JSON_MODE === 'off' ? false : 'auto',
+}));
+
+registerTextProvider(openAICompatibleProvider({
+  id: 'groq', label: '🟪 Groq (Llama3)', env: [['GROQ_API_KEY']], timeoutMs: 25000,
+  baseURL: () => 'https://api.groq.com/openai/v1',
+  apiKey: () => process.env.GROQ_API_KEY,
+  model: () => process.env.GROQ_TEXT_MODEL || 'llama-3.1-70b-versatile',
+}));
+registerTextProvider({
+  id: 'gemini', label: '🔷 Gemini (rotation)', env: [['GEMINI_API_KEYS', 'GEMINI_API_KEY']], timeoutMs: 25000,
+  callJSON: (sys, user, opts) => geminiTextJSON(sys, user, opts.timeoutMs),
+});
+registerTextProvider({
+  id: 'pollinations', label: '🦙 Pollinations (SearchGPT)', timeoutMs: 20000,
+  callJSON: (sys, user, opts) => pollinationsTextJSON(sys, user, 'searchgpt', opts.timeoutMs),
+});
+registerTextProvider({
+  id: 'huggingface', label: '🤗 Hugging Face', env: [['HUGGING_FACE_API_KEY']], timeoutMs: 40000, fallbackOnly: true,
+  callJSON: (sys, user) => generateTextFromHuggingFace(sys, user),
+});
+
+function defaultTextProviderOrder() {
+  const fromEnv = (process.env.TEXT_PROVIDER_ORDER || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (fromEnv.length) return fromEnv;
+  return configuredTextProviders().filter(p => !p.fallbackOnly).map(p => p.id);
+}
+
+// Drops unknown/unconfigured ids (with a warning) and appends fallback-only providers last.
+function resolveTextProviderOrder(order = []) {
+  const seen = new Set();
+  const out = [];
+  for (const id of (order.length ? order : defaultTextProviderOrder())) {
+    if (seen.has(id)) continue;
+    seen.add(id);
+    if (!TEXT_PROVIDERS.has(id)) { console.warn(`[text] unknown provider "${id}" ignored (known: ${[...TEXT_PROVIDERS.keys()].join(', ')})`); continue; }
+    if (!isTextProviderConfigured(id)) { console.warn(`[text] provider "${id}" skipped: missing ${TEXT_PROVIDERS.get(id).env.map(a => [].concat(a).join('|')).join(', ')}`); continue; }
+    out.push(id);
   }
-  if (provider === 'gemini') {
-    try { return await geminiTextJSON(systemPrompt, userPrompt); }
-    catch (e) { console.warn('[text] Gemini failed:', e.message); return null; }
+  for (const p of configuredTextProviders()) if (p.fallbackOnly && !seen.has(p.id)) out.push(p.id);
+  return out;
+}
+
+// Surface TEXT_PROVIDER_ORDER typos at boot instead of on the first /smartadd.
+if (process.env.TEXT_PROVIDER_ORDER) resolveTextProviderOrder();
+
+// Picked provider first, then the default order as fallback.
+const textOrderStartingWith = (id) => [id, ...defaultTextProviderOrder().filter(x => x !== id)];
+
+async function getTextFromProvider(provider, systemPrompt, userPrompt) {
+  const p = TEXT_PROVIDERS.get(provider);
+  if (!p) return null;
+  try {
+    return await withTimeout(p.callJSON(systemPrompt, userPrompt, { timeoutMs: p.timeoutMs }), p.timeoutMs + 2000, `text:${provider}`);
+  } catch (e) {
+    console.warn(`[text] ${provider} failed: ${e.message}`);
+    return null;
   }
-  return null;
 }
 
 function extractMetaTags(html = '') { const pick = (prop, attr='property') => { const re = new RegExp(`<meta[^>]+${attr}=["']${prop}["'][^>]+content=["']([^"']+)["']`, 'i'); return re.exec(html)?.[1] || null; }; return { ogTitle: pick('og:title') || pick('twitter:title','name'), ogDesc: pick('og:description') || pick('twitter:description','name'), ogImage: pick('og:image:secure_url') || pick('og:image') || pick('twitter:image','name'), }; }
-function extractJsonLdProduct(html = '') { const blocks = []; const rx = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi; let m; while ((m = rx.exec(html)) !== null) { const raw = m[1].trim(); try { blocks.push(JSON.parse(raw)); } catch { try { const cleaned = raw.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1'); blocks.push(JSON.parse(cleaned)); } catch {} } } const flat = blocks.flatMap(b => Array.isArray(b) ? b : [b]); const productNode = flat.find(n => { const t = (n['@type'] || n.type || ''); return (Array.isArray(t) ? t : [t]).some(x => String(x).toLowerCase() === 'product'); }); if (!productNode) return null; const offers = Array.isArray(productNode.offers) ? productNode.offers[0] : productNode.offers || {}; const priceNum = parsePrice(offers.price || offers.priceSpecification?.price); const validity = offers.availabilityEnds || offers.validThrough || productNode.validThrough || 'unknown'; const features = []; if (Array.isArray(productNode.additionalProperty)) { for (const p of productNode.additionalProperty) if (p?.name && p?.value) features.push(`${p.name}: ${p.value}`); } if (Array.isArray(productNode.featureList)) features.push(...productNode.featureList.filter(Boolean)); return { name: productNode.name || null, description: productNode.description || null, price: priceNum || null, validity, features }; }
-async function rehostToSupabase(fileUrlOrBuffer, filenameHint = 'image.jpg', table) { let buf, serverType = null, finalName = sanitizeForFilename(filenameHint || 'image'); if (Buffer.isBuffer(fileUrlOrBuffer)) { buf = fileUrlOrBuffer; } else { const res = await fetch(fileUrlOrBuffer, { signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(15000) : undefined, }); if (!res.ok) throw new Error(`Fetch failed: ${res.status}`); serverType = res.headers.get('content-type'); const ab = await res.arrayBuffer(); buf = Buffer.from(ab); try { const u = new URL(fileUrlOrBuffer); const urlExt = extFromName(u.pathname); if (urlExt && !extFromName(finalName)) finalName += urlExt; } catch {} } const hintExt = extFromName(finalName); let mime = (serverType && serverType.startsWith('image/')) ? serverType.split(';')[0] : mimeFromExt(hintExt); if (!mime || mime === 'application/octet-stream') { const sniff = sniffImageType(buf); if (!hintExt && sniff.ext) finalName += sniff.ext; if (!mime || mime === 'application/octet-stream') mime = sniff.mime; } if (!extFromName(finalName)) { finalName += '.jpg'; if (mime === 'application/octet-stream') mime = 'image/jpeg'; } const bucket = table === TABLES.products ? (process.env.SUPABASE_BUCKET_PRODUCTS || 'images') : (process.env.SUPABASE_BUCKET_EXCLUSIVE || 'exclusiveproduct-images'); const folder = table === TABLES.products ? 'products' : 'exclusive-products'; const key = `${folder}/${Date.now()}-${Math.random().toString(36).slice(2)}-${sanitizeForFilename(finalName)}`; console.log(`[upload] ${finalName} -> bucket=${bucket}, key=${key}, type=${mime}`); const { error: upErr } = await supabase.storage.from(bucket).upload(key, buf, { upsert: true, contentType: mime || 'image/jpeg', cacheControl: 'public, max-age=31536000, immutable' }); if (upErr) throw upErr; const { data: pub } = supabase.storage.from(bucket).getPublicUrl(key); return pub.publicUrl; }
+function extractJsonLdProduct(html = '') { const blocks = []; const rx = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi; let m; while ((m = rx.exec(html)) !== null) { const raw = m[1].trim(); try { blocks.push(JSON.parse(raw)); } catch { try { const cleaned = raw.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1'); blocks.push(JSON.parse(cleaned)); } catch {} } } const flat = blocks.flatMap(b => Array.isArray(b) ? b : [b]); const productNode = flat.find(n => { const t = (n['@type'] || n.type || ''); return (Array.isArray(t) ? t : [t]).some(x => String(x).toLowerCase() === 'product'); }); if (!productNode) return null; const offers = Array.isArray(productNode.offers) ? productNode.offers[0] : productNode.offers || {}; const priceInfo = parsePriceInfo(offers.price ?? offers.priceSpecification?.price, currencyCode(offers.priceCurrency || offers.priceSpecification?.priceCurrency)); const priceNum = priceInfo.price; const validity = offers.availabilityEnds || offers.validThrough || productNode.validThrough || 'unknown'; const features = []; if (Array.isArray(productNode.additionalProperty)) { for (const p of productNode.additionalProperty) if (p?.name && p?.value) features.push(`${p.name}: ${p.value}`); } if (Array.isArray(productNode.featureList)) features.push(...productNode.featureList.filter(Boolean)); return { name: productNode.name || null, description: productNode.description || null, price: priceNum || null, currency: priceInfo.currency, validity, features }; }
+// RESTORED: tgFileUrl was used by processIncomingImage but never defined here.
+async function tgFileUrl(fileId) {
+  try { const f = await bot.telegram.getFile(fileId); const token = process.env.TELEGRAM_BOT_TOKEN; return `https://api.telegram.org/file/bot${token}/${f.file_path}`; }
+  catch { const link = await bot.telegram.getFileLink(fileId); return typeof link === 'string' ? link : link.toString(); }
+}
+const bucketForTable = (table) => table === TABLES.products ? (process.env.SUPABASE_BUCKET_PRODUCTS || 'images') : (process.env.SUPABASE_BUCKET_EXCLUSIVE || 'exclusiveproduct-images');
+// Reverses getPublicUrl(): returns the object key if `url` points into `bucket`, else null.
+function storageKeyFromPublicUrl(url, bucket) { try { const m = new URL(url).pathname.match(/\/storage\/v1\/object\/public\/([^/]+)\/(.+)$/); return m && m[1] === bucket ? decodeURIComponent(m[2]) : null; } catch { return null; } }
+/* ---- image normalization ---- */
+// With sharp installed every upload goes through normalizeImage(): EXIF orientation is applied and all metadata
+// dropped, SVGs are rasterized, tiny/blank images are rejected, and everything is re-encoded as IMAGE_FORMAT.
+// Keys come from a hash of the source bytes, so the same image always lands on the same objects:
+//   <folder>/<slug>-<hash>/full.<ext>      returned URL, longest side ≤ IMAGE_MAX_SIDE
+//   <folder>/<slug>-<hash>/square.<ext>    product card
+//   <folder>/<slug>-<hash>/banner.<ext>    listing header
+//   <folder>/<slug>-<hash>/thumb.<ext>     grids and search results
+const IMAGE_FORMAT = (process.env.IMAGE_FORMAT || 'webp').toLowerCase() === 'jpeg' ? 'jpeg' : 'webp';
+const IMAGE_EXT = IMAGE_FORMAT === 'jpeg' ? 'jpg' : 'webp';
+const IMAGE_QUALITY = Math.min(100, Math.max(30, parseInt(process.env.IMAGE_QUALITY || '82', 10)));
+const IMAGE_MIN_SIDE = Math.max(1, parseInt(process.env.IMAGE_MIN_SIDE || '256', 10));
+const IMAGE_MAX_SIDE = Math.max(512, parseInt(process.env.IMAGE_MAX_SIDE || '1600', 10));
+const IMAGE_BLANK_STDEV = Math.max(0, parseFloat(process.env.IMAGE_BLANK_STDEV || '3'));
+const IMAGE_VARIANTS = {
+  square: { width: 1024, height: 1024 },
+  banner: { width: 1280, height: 720 },
+  thumb: { width: 320, height: 320 },
+};
+
+async function fetchImageBytes(src, { timeoutMs = 15000 } = {}) {
+  if (Buffer.isBuffer(src)) return { buf: src, serverType: null };
+  const res = await fetch(src, { signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(timeoutMs) : undefined });
+  if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
+  return { buf: Buffer.from(await res.arrayBuffer()), serverType: res.headers.get('content-type') };
+}
+
+const isSvgBuffer = (buf) => sniffImageType(buf).mime === 'image/svg+xml' || /<svg[\s>]/i.test(buf.slice(0, 1024).toString('utf8'));
+
+// { full, square, banner, thumb } encoded buffers; throws with a short reason when the image is unusable.
+async function normalizeImage(buf) {
+  const isSvg = isSvgBuffer(buf);
+  let input = buf;
+  if (isSvg) {
+    const { width = 0, height = 0 } = await _sharp(buf).metadata();
+    const density = Math.min(2400, Math.max(72, Math.ceil(72 * IMAGE_VARIANTS.square.width / (Math.max(width, height) || 512))));
+    input = await _sharp(buf, { density }).png().toBuffer();
+  }
+
+  const meta = await _sharp(input).metadata();
+  const width = meta.width || 0, height = meta.height || 0;
+  if (Math.min(width, height) < IMAGE_MIN_SIDE) throw new Error(`too small (${width}×${height}, needs ${IMAGE_MIN_SIDE}px on the short side)`);
+  const { channels } = await _sharp(input).stats();
+  const colour = meta.hasAlpha ? channels.slice(0, -1) : channels;
+  const alpha = meta.hasAlpha ? channels[channels.length - 1] : null;
+  if (alpha && alpha.max === 0) throw new Error('fully transparent');
+  // A flat logo on a transparent canvas is fine; flat colour AND flat alpha is not.
+  if (colour.every(c => c.stdev <= IMAGE_BLANK_STDEV) && (!alpha || alpha.stdev <= IMAGE_BLANK_STDEV)) throw new Error('blank (a single flat colour)');
+
+  const encode = (img) => (IMAGE_FORMAT === 'jpeg'
+    ? img.flatten({ background: '#ffffff' }).jpeg({ quality: IMAGE_QUALITY, mozjpeg: true })
+    : img.webp({ quality: IMAGE_QUALITY })).toBuffer();
+  // .rotate() with no angle applies the EXIF orientation; sharp drops EXIF/ICC/XMP unless withMetadata() is called.
+  const base = () => _sharp(input).rotate();
+  // Logos and other transparent art are letterboxed rather than cropped.
+  const fit = isSvg || meta.hasAlpha ? 'contain' : 'cover';
+  const out = { full: await encode(base().resize({ width: IMAGE_MAX_SIDE, height: IMAGE_MAX_SIDE, fit: 'inside', withoutEnlargement: true })) };
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    out[name] = await encode(base().resize({ ...size, fit, position: fit === 'cover' ? 'attention' : 'centre', background: { r: 255, g: 255, b: 255, alpha: IMAGE_FORMAT === 'jpeg' ? 1 : 0 } }));
+  }
+  return out;
+}
+
+// Siblings of a normalized `.../full.<ext>` key, so purge can remove every size.
+function imageVariantKeys(key) {
+  const m = String(key || '').match(/^(.*)\/full\.(webp|jpg)$/);
+  return m ? ['full', ...Object.keys(IMAGE_VARIANTS)].map(v => `${m[1]}/${v}.${m[2]}`) : [key].filter(Boolean);
+}
+
+// Pre-sharp behaviour: upload the bytes as they came, under a random key.
+async function uploadRawImage(buf, serverType, finalName, src, table) {
+  try { const urlExt = typeof src === 'string' ? extFromName(new URL(src).pathname) : ''; if (urlExt && !extFromName(finalName)) finalName += urlExt; } catch {}
+  const hintExt = extFromName(finalName);
+  let mime = (serverType && serverType.startsWith('image/')) ? serverType.split(';')[0] : mimeFromExt(hintExt);
+  if (!mime || mime === 'application/octet-stream') { const sniff = sniffImageType(buf); if (!hintExt && sniff.ext) finalName += sniff.ext; mime = sniff.mime; }
+  if (!extFromName(finalName)) { finalName += '.jpg'; if (mime === 'application/octet-stream') mime = 'image/jpeg'; }
+  const bucket = bucketForTable(table);
+  const folder = table === TABLES.products ? 'products' : 'exclusive-products';
+  const key = `${folder}/${Date.now()}-${Math.random().toString(36).slice(2)}-${sanitizeForFilename(finalName)}`;
+  console.log(`[upload] ${finalName} -> bucket=${bucket}, key=${key}, type=${mime}`);
+  const { error: upErr } = await supabase.storage.from(bucket).upload(key, buf, { upsert: true, contentType: mime || 'image/jpeg', cacheControl: 'public, max-age=31536000, immutable' });
+  if (upErr) throw upErr;
+  return supabase.storage.from(bucket).getPublicUrl(key).data.publicUrl;
+}
+
+async function rehostToSupabase(fileUrlOrBuffer, filenameHint = 'image.jpg', table) {
+  const { buf, serverType } = await fetchImageBytes(fileUrlOrBuffer);
+  if (!_sharp) return uploadRawImage(buf, serverType, sanitizeForFilename(filenameHint || 'image'), fileUrlOrBuffer, table);
+
+  let variants;
+  try { variants = await normalizeImage(buf); }
+  catch (e) { throw new Error(`Image rejected: ${e.message}`); }
+
+  const bucket = bucketForTable(table);
+  const folder = table === TABLES.products ? 'products' : 'exclusive-products';
+  const slug = sanitizeForFilename(String(filenameHint || 'image').replace(/\.[a-z0-9]{2,4}$/i, '')).toLowerCase().slice(0, 60) || 'image';
+  const dir = `${folder}/${slug}-${crypto.createHash('sha256').update(buf).digest('hex').slice(0, 16)}`;
+  const contentType = IMAGE_FORMAT === 'jpeg' ? 'image/jpeg' : 'image/webp';
+  await Promise.all(Object.entries(variants).map(async ([name, data]) => {
+    const { error } = await supabase.storage.from(bucket).upload(`${dir}/${name}.${IMAGE_EXT}`, data, { upsert: true, contentType, cacheControl: 'public, max-age=31536000, immutable' });
+    if (error) throw error;
+  }));
+  console.log(`[upload] ${slug} -> bucket=${bucket}, ${dir}/{${Object.keys(variants).join(',')}}.${IMAGE_EXT} (${Math.round(variants.full.length / 1024)} KB full)`);
+  return supabase.storage.from(bucket).getPublicUrl(`${dir}/full.${IMAGE_EXT}`).data.publicUrl;
+}
+
+/* ---- image quality scoring ---- */
+// 0–100 score for brand/search images before one is accepted. Unreadable, too-small, fully transparent, blank
+// or strip-shaped (over 4:1) images score 0. Otherwise points come from resolution (30), aspect (15), file size (10), detail (25),
+// transparency (10, logos only; photos always get it) and URL relevance (10). Stock photo sites lose 45 and a
+// mostly-white, low-detail photo loses 10. Anything under IMAGE_MIN_SCORE is skipped.
+const IMAGE_MIN_SCORE = Math.min(100, Math.max(0, parseInt(process.env.IMAGE_MIN_SCORE || '45', 10)));
+// Candidates are downloaded and scored a few at a time, and one tryBrandImages run (every stage plus the image
+// search) shares a single time budget.
+const IMAGE_SCORE_CONCURRENCY = Math.max(1, parseInt(process.env.IMAGE_SCORE_CONCURRENCY || '3', 10));
+const IMAGE_PICK_BUDGET_MS = Math.max(5000, parseInt(process.env.IMAGE_PICK_BUDGET_MS || '25000', 10));
+const STOCK_PHOTO_HOSTS = /(^|\.)(shutterstock|istockphoto|gettyimages|dreamstime|depositphotos|alamy|123rf|freepik|vecteezy|pngtree|stock\.adobe)\./i;
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+// kind: 'photo' | 'logo'; brand: { name, domain } the image should belong to.
+async function scoreImage(buf, { kind = 'photo', url = null, brand = null } = {}) {
+  if (!_sharp) return { score: null, reasons: [] };
+  let meta, stats;
+  try {
+    const input = isSvgBuffer(buf) ? await _sharp(buf, { density: 144 }).png().toBuffer() : buf;
+    meta = await _sharp(input).metadata();
+    stats = await _sharp(input).stats();
+  } catch (e) {
+    return { score: 0, reasons: [`unreadable (${e.message})`] };
+  }
+  const width = meta.width || 0, height = meta.height || 0;
+  const short = Math.min(width, height);
+  if (short < IMAGE_MIN_SIDE) return { score: 0, reasons: [`too small (${width}×${height})`], width, height };
+  const ratio = Math.max(width, height) / short;
+  if (ratio > 4) return { score: 0, reasons: [`strip-shaped (${ratio.toFixed(1)}:1)`], width, height };
+  const colour = meta.hasAlpha ? stats.channels.slice(0, -1) : stats.channels;
+  const alpha = meta.hasAlpha ? stats.channels[stats.channels.length - 1] : null;
+  if (alpha && alpha.max === 0) return { score: 0, reasons: ['fully transparent'], width, height };
+  if (colour.every(c => c.stdev <= IMAGE_BLANK_STDEV) && (!alpha || alpha.stdev <= IMAGE_BLANK_STDEV)) return { score: 0, reasons: ['blank'], width, height };
+
+  const reasons = [];
+  let score = 30 * clamp01((short - IMAGE_MIN_SIDE) / (1024 - IMAGE_MIN_SIDE));
+  if (short < 512) reasons.push('low resolution');
+
+  // Logos are happiest near square; photos anywhere up to 2:1.
+  const aspect = kind === 'logo' ? clamp01(1 - (ratio - 1) / 2) : clamp01(1 - (ratio - 2) / 1.5);
+  score += 15 * aspect;
+  if (aspect < 0.5) reasons.push(`odd aspect ${ratio.toFixed(1)}:1`);
+
+  // Favicons and placeholders are a few KB: 4 KB scores nothing, 64 KB and up full marks.
+  const kb = buf.length / 1024;
+  score += 10 * clamp01(Math.log2(Math.max(1, kb) / 4) / 4);
+  if (kb < 8) reasons.push('tiny file');
+
+  const spread = colour.reduce((sum, c) => sum + c.stdev, 0) / colour.length;
+  const detail = clamp01(spread / 50) * 0.6 + clamp01((stats.entropy || 0) / 7) * 0.4;
+  score += 25 * detail;
+  if (detail < 0.3) reasons.push('little detail');
+  const { r = 0, g = 0, b = 0 } = stats.dominant || {};
+  if (kind === 'photo' && Math.min(r, g, b) > 235 && detail < 0.5) { score -= 10; reasons.push('mostly white'); }
+
+  if (kind !== 'logo') score += 10;
+  else if (alpha && alpha.min < 250) score += 10;
+  else reasons.push('no transparency');
+
+  const host = url ? hostOf(url) : null;
+  if (host && STOCK_PHOTO_HOSTS.test(host)) { score -= 45; reasons.push('stock photo site'); }
+  const nameKey = brandKey(brand?.name);
+  if (!url) score += 5;
+  else if (brand?.domain && host && (host === brand.domain || host.endsWith(`.${brand.domain}`))) score += 10;
+  else if (nameKey.length >= 3 && brandKey(url).includes(nameKey)) score += 5;
+  else reasons.push('not from the brand');
+
+  return { score: Math.round(Math.min(100, Math.max(0, score))), reasons, width, height };
+}
+
+// Downloads and scores each candidate ({ url, kind, source }); returns the best one that passes IMAGE_MIN_SCORE
+// as { url, buf, score, reasons, source }, or null. Without sharp the first candidate that downloads wins.
+// Candidates still downloading at `deadline` are dropped.
+async function pickBestImage(candidates, brand, { deadline = Date.now() + IMAGE_PICK_BUDGET_MS } = {}) {
+  let unscored = false;
+  const results = await mapWithConcurrency(candidates.filter(c => c?.url), IMAGE_SCORE_CONCURRENCY, async (c) => {
+    let buf;
+    try { ({ buf } = await fetchImageBytes(c.url, { timeoutMs: Math.max(1000, Math.min(15000, deadline - Date.now())) })); }
+    catch (e) { console.warn(`[img] ${c.source} ${c.url} not downloadable: ${e.message}`); return null; }
+    const { score, reasons } = await scoreImage(buf, { kind: c.kind, url: c.url, brand });
+    if (score === null) unscored = true;
+    else console.log(`[img] ${c.source} scored ${score}${reasons.length ? ` (${reasons.join(', ')})` : ''}: ${c.url}`);
+    return { ...c, buf, score, reasons };
+  }, { deadline, shouldStop: () => unscored });
+
+  // Results keep candidate order, so ties (and the no-sharp case) go to the earlier candidate.
+  const done = results.filter(Boolean);
+  if (unscored) return done.find(r => r.score === null) || null;
+  return done.filter(r => r.score >= IMAGE_MIN_SCORE).reduce((best, r) => (!best || r.score > best.score ? r : best), null);
+}
 function shortBrandName(prod) { const commonWords = ['premium','pro','plus','subscription','subs','account','license','key','activation','fan','mega','plan','tier','access','year','years','month','months','day','days','lifetime','annual','basic','standard','advanced','creator','business','enterprise','personal','family','student','individual']; const regex = new RegExp(`\\b(${commonWords.join('|')})\\b`, 'ig'); let name = String(prod?.name || 'Product').trim().split(/[-–—(]/)[0]; name = name.replace(regex, ''); name = name.replace(/\b\d+\b/g, ''); name = name.replace(/\s+/g, ' ').trim(); return name || prod?.name || 'Product'; }
 
-// CHANGED: This function now includes the Hugging Face fallback logic.
 // CHANGED: The "second pass" now also uses the configurable Groq model.
-async function enrichWithAI(textHints = '', websiteContent = '', providerOrderParam = null, editStatus = async () => {}) {
+// `deadline` (ms timestamp) stops the evidence search early so callers with a time budget keep room for the AI call.
+async function enrichWithAI(textHints = '', websiteContent = '', providerOrderParam = null, editStatus = async () => {}, { deadline = Infinity } = {}) {
+  await loadCategoryTree();
   const cleanTextHints = sanitizeTextForAI(textHints);
   const guessedName = cleanTextHints.split('\n')[0].slice(0, 120);
   const planGuess = (cleanTextHints.match(/plan[:\-]?\s*([^\n]+)/i)?.[1] || '').slice(0, 80);
 
-  const webBundle = await searchWebForProduct(guessedName, planGuess);
-  const combinedSite = sanitizeTextForAI(`${websiteContent}\n\n${webBundle}`).slice(0, 16000);
+  const webBundle = await searchWebForProduct(guessedName, planGuess, { editStatus, budgetMs: Math.max(0, Math.min(EVIDENCE_BUDGET_MS, deadline - Date.now())) });
+  const { text: combinedSite, sources: evidenceSources } = numberEvidenceSources(sanitizeTextForAI(`${websiteContent}\n\n${webBundle}`).slice(0, 16000));
 
-  const systemPrompt = 'You MUST output ONLY one JSON object with EXACT keys: {"name":"string","plan":"string|unknown","validity":"string|unknown","price":"number|unknown","description":"string","tags":["string"],"category":"string","subcategory":"string|unknown","features":["string"]}';
-  const userPrompt = `User text:\n"""${cleanTextHints}"""\n\nTrusted sources (use for description & features; do NOT invent):\n"""${combinedSite}"""\n\nRules:\n1) Prefer user's explicit name/plan/validity/price if present.\n2) Description: 1–3 factual sentences taken from the sources.\n3) Features: 4–6 short factual bullets taken from the sources.\n4) Category must be one of: ${CATEGORIES_ALLOWED.join(' | ')}.\n5) If some field is unknown, use "unknown". Return JSON only.`;
+  const systemPrompt = 'You MUST output ONLY one JSON object with EXACT keys: {"name":"string","plan":"string|unknown","validity":"string|unknown","price":"number|unknown","currency":"ISO 4217 code|unknown","billing_period":"month|year|week|day|lifetime|unknown","description":"string","tags":["string"],"category":"string","subcategory":"string|unknown","features":["string"],"description_sources":[1],"feature_sources":[[1]]}';
+  const userPrompt = `User text:\n"""${cleanTextHints}"""\n\nTrusted sources (use for description & features; do NOT invent):\n"""${combinedSite}"""\n\nRules:\n1) Prefer user's explicit name/plan/validity/price if present.\n2) Description: 1–3 factual sentences taken from the sources.\n3) Features: 4–6 short factual bullets taken from the sources.\n4) Category must be one of: ${categoryNames().join(' | ')}. Subcategory must come from that category's list, or "unknown": ${describeCategoryTree()}.\n5) If some field is unknown, use "unknown". Return JSON only.\n6) Sources are marked "SOURCE [n]: url". description_sources = the [n] numbers the description came from; feature_sources[i] = the [n] numbers for features[i]. Use [] when a claim has no source.`;
 
-  const providerOrder = (Array.isArray(providerOrderParam) && providerOrderParam.length && providerOrderParam) ||
-    (process.env.TEXT_PROVIDER_ORDER ? process.env.TEXT_PROVIDER_ORDER.split(',').map(s=>s.trim()).filter(Boolean) : ['groq','gemini','pollinations']);
+  const providerOrder = resolveTextProviderOrder(Array.isArray(providerOrderParam) ? providerOrderParam : []);
 
   console.log('[text] providerOrder resolved to:', providerOrder);
-  let { json, provider } = await runTextProvidersWithOrder(providerOrder, systemPrompt, userPrompt, editStatus);
+  const { json, provider } = await runTextProvidersWithOrder(providerOrder, systemPrompt, userPrompt, editStatus, PRODUCT_SCHEMA);
 
   if (!json) {
-    console.warn('[text] Primary providers failed. Trying Hugging Face fallback.');
-    await editStatus('⚠️ Primary models failed. Trying HF fallback...');
-    json = await generateTextFromHuggingFace(systemPrompt, userPrompt);
-    provider = 'Hugging Face';
-  }
-
-  if (!json) {
-    console.error('[text] All providers failed, including Hugging Face. Using minimal extraction.');
+    console.error('[text] All providers failed. Using minimal extraction.');
     await editStatus('❌ All AI models failed. Extracting basic info...');
     const extractedName = cleanTextHints.split('\n')[0].trim() || 'Product';
     return {
       name: extractedName, plan: 'unknown', validity: 'unknown',
-      price: parsePrice(cleanTextHints), description: extractedName, tags: [], features: [],
-      category: normalizeCategory({ name: extractedName, description: cleanTextHints }),
+      ...pickPriceFields(parsePriceInfo(cleanTextHints, DEFAULT_CURRENCY)), description: extractedName, tags: [], features: [],
+      category: normalizeCategory({ name: extractedName, description: cleanTextHints }), subcategory: 'unknown',
     };
   }
 
   json.name = json.name || guessedName || 'Product';
   json.plan = json.plan || planGuess || 'unknown';
   json.validity = json.validity || 'unknown';
-  json.price = parsePrice(json.price || textHints);
+  // The user's own text wins (rule 1); the model's answer fills in what it lacks.
+  const userPrice = parsePriceInfo(textHints);
+  const aiPrice = parsePriceInfo(json.price === 'unknown' ? null : json.price, currencyCode(json.currency));
+  const priceInfo = userPrice.price !== null ? userPrice : aiPrice;
+  Object.assign(json, pickPriceFields({
+    ...priceInfo,
+    currency: priceInfo.currency || aiPrice.currency || DEFAULT_CURRENCY,
+    billingPeriod: priceInfo.billingPeriod || periodName(json.billing_period) || null,
+  }));
+  delete json.billing_period;
   if (!Array.isArray(json.tags)) json.tags = (json.tags ? String(json.tags) : '').split(/[;,]/).map(s=>s.trim()).filter(Boolean);
   if (!Array.isArray(json.features)) json.features = [];
+  const featureSources = Array.isArray(json.feature_sources) ? json.feature_sources : [];
+  const citedFeatures = json.features.map((f, i) => ({ f, src: featureSources[i] })).filter(x => typeof x.f === 'string' && x.f.trim());
+  json.tags = json.tags.map(String).map(t => t.trim().slice(0, PRODUCT_SCHEMA.tags.items.maxLength)).filter(Boolean).slice(0, PRODUCT_SCHEMA.tags.maxItems);
+  json.features = citedFeatures.map(x => x.f.trim().slice(0, PRODUCT_SCHEMA.features.items.maxLength)).slice(0, PRODUCT_SCHEMA.features.maxItems);
+  json.sources = buildCitations(evidenceSources, json.description_sources, citedFeatures.slice(0, json.features.length).map(x => x.src));
+  delete json.description_sources; delete json.feature_sources;
+  if (typeof json.description === 'string' && json.description.length > PRODUCT_SCHEMA.description.maxLength) json.description = json.description.slice(0, PRODUCT_SCHEMA.description.maxLength - 1).trimEnd() + '…';
 
   const needDetail = (!json.description || json.description.length < 150 || json.features.length < 3);
-  if (needDetail && combinedSite.length > 400 && provider !== 'Hugging Face') {
+  if (needDetail && combinedSite.length > 400 && !TEXT_PROVIDERS.get(provider)?.fallbackOnly && isTextProviderConfigured('groq')) {
     try {
       await editStatus('✍️ Refining details with a second AI pass...');
       const detailPrompt = `From ONLY the following sources, write:\nA) A concise, factual 2–3 sentence description of "${json.name}" (${json.plan}).\nB) 5 short factual bullet features.\n\nSources:\n"""${combinedSite.slice(0, 8000)}"""`;
@@ -415,19 +846,105 @@ async function enrichWithAI(textHints = '', websiteContent = '', providerOrderPa
       const lines = txt.split('\n').map(s=>s.trim()).filter(Boolean);
       const bullets = lines.filter(l=>/^[-•]/.test(l)).map(l=>l.replace(/^[-•]\s?/, '').slice(0,140));
       const desc = lines.filter(l=>!/^[-•]/.test(l)).join(' ').slice(0, 600);
-      if ((!json.description || json.description.length < 120) && desc.length) json.description = desc;
-      if (json.features.length < 3 && bullets.length) json.features = bullets.slice(0,5);
+      if ((!json.description || json.description.length < 120) && desc.length) { json.description = desc; json.sources.description = []; }
+      if (json.features.length < 3 && bullets.length) { json.features = bullets.slice(0,5); json.sources.features = json.features.map(() => []); }
     } catch (e) { console.warn('[text] detail pass failed:', e.message); }
   }
 
   json.category = normalizeCategory({ ...json, description: textHints }, json.category);
-  json.subcategory = json.subcategory || 'unknown';
+  json.subcategory = normalizeSubcategory(json.category, json.subcategory, { ...json, description: textHints });
 
   console.log(`[text] filled by ${provider} — evidence ${combinedSite.length} chars — name="${json.name}" plan="${json.plan}" descChars=${(json.description||'').length} feats=${json.features.length}`);
   return json;
 }
 
-async function runTextProvidersWithOrder(order, systemPrompt, userPrompt, editStatus = async () => {}) {
+/* ---- source citations ---- */
+// Rewrites `SOURCE: url` markers from searchWebForProduct into `SOURCE [n]: url` so the model can cite them.
+function numberEvidenceSources(text = '') {
+  const sources = [];
+  const out = String(text).replace(/SOURCE:\s*(\S+)/g, (_, url) => {
+    let n = sources.indexOf(url) + 1;
+    if (!n) { sources.push(url); n = sources.length; }
+    return `SOURCE [${n}]: ${url}`;
+  });
+  return { text: out, sources };
+}
+
+// -> { urls: [...only cited, renumbered from 1], description: [n], features: [[n], ...] }
+function buildCitations(allUrls = [], descRefs = [], featureRefs = []) {
+  const urls = [];
+  const remap = (refs) => (Array.isArray(refs) ? refs : [refs])
+    .map(Number).filter(n => Number.isInteger(n) && n >= 1 && n <= allUrls.length)
+    .map(n => { const u = allUrls[n - 1]; let i = urls.indexOf(u); if (i === -1) { urls.push(u); i = urls.length - 1; } return i + 1; })
+    .filter((n, i, a) => a.indexOf(n) === i);
+  const description = remap(descRefs);
+  const features = featureRefs.map(r => remap(r ?? []));
+  return { urls, description, features };
+}
+
+const citationMarks = (refs = []) => refs.length ? ' ' + refs.map(n => `[${n}]`).join('') : '';
+
+/* ---- product JSON schema ---- */
+// Declarative shape of what enrichWithAI expects back from a text provider.
+// `enum` may be a function so it follows runtime config.
+const PRODUCT_SCHEMA = {
+  name:        { type: 'string', required: true, minLength: 2, maxLength: 120 },
+  plan:        { type: 'string', maxLength: 80 },
+  validity:    { type: 'string', maxLength: 80 },
+  price:       { type: 'price' },
+  currency:    { type: 'string', maxLength: 10 },
+  billing_period: { type: 'string', maxLength: 20 },
+  description: { type: 'string', required: true, minLength: 20, maxLength: 700 },
+  tags:        { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 15 },
+  category:    { type: 'string', required: true, enum: () => categoryNames() },
+  subcategory: { type: 'string', maxLength: 60 },
+  features:    { type: 'array', items: { type: 'string', minLength: 3, maxLength: 160 }, minItems: 1, maxItems: 8 },
+  description_sources: { type: 'array', items: { type: 'integer' } },
+  feature_sources:     { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+};
+
+function validateField(key, value, rule) {
+  const errors = [];
+  const missing = value === undefined || value === null || value === '';
+  if (missing) return rule.required ? [`${key} is required`] : [];
+  if (rule.type === 'price') {
+    // Free text like "₹199/month, was ₹499" is fine as long as the price parser can pull a number out of it.
+    const valid = typeof value === 'number' ? value >= 0 : /^unknown$/i.test(String(value).trim()) || parsePriceInfo(value).price !== null;
+    if (!valid) errors.push(`${key} must be a non-negative number or "unknown"`);
+    return errors;
+  }
+  if (rule.type === 'integer') return Number.isInteger(Number(value)) ? [] : [`${key} must be an integer`];
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) return [`${key} must be an array`];
+    if (rule.minItems && value.length < rule.minItems) errors.push(`${key} needs at least ${rule.minItems} item(s)`);
+    if (rule.maxItems && value.length > rule.maxItems) errors.push(`${key} has ${value.length} items (max ${rule.maxItems})`);
+    value.forEach((v, i) => errors.push(...validateField(`${key}[${i}]`, v, rule.items || {})));
+    return errors;
+  }
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') return [`${key} must be a string`];
+    if (rule.minLength && value.trim().length < rule.minLength) errors.push(`${key} is too short (min ${rule.minLength} chars)`);
+    if (rule.maxLength && value.length > rule.maxLength) errors.push(`${key} is too long (${value.length} > ${rule.maxLength} chars)`);
+    const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+    if (allowed && !allowed.includes(value)) errors.push(`${key} must be one of: ${allowed.join(' | ')}`);
+  }
+  return errors;
+}
+
+function validateAgainstSchema(json, schema = PRODUCT_SCHEMA) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return ['response is not a JSON object'];
+  return Object.entries(schema).flatMap(([key, rule]) => validateField(key, json[key], rule));
+}
+
+function buildRepairPrompt(userPrompt, badJson, errors) {
+  return `${userPrompt}\n\nYour previous answer was invalid JSON for this task:\n${JSON.stringify(badJson).slice(0, 4000)}\n\nFix ONLY these problems and return the corrected JSON object:\n- ${errors.join('\n- ')}`;
+}
+
+// Returns the first provider answer that passes `schema`. An invalid answer gets one repair
+// round-trip to the same provider; if nothing validates, the least-broken answer is returned
+// so the caller's own patch-ups still apply.
+async function runTextProvidersWithOrder(order, systemPrompt, userPrompt, editStatus = async () => {}, schema = null) {
+  let bestInvalid = null;
   for (const provider of order) {
     await editStatus(`➡️ Trying text provider: ${provider}...`);
     console.log('[text] trying provider:', provider);
@@ -440,18 +957,53 @@ async function runTextProvidersWithOrder(order, systemPrompt, userPrompt, editSt
       },
       TEXT_RETRIES
     );
-    if (json) {
+    if (json && !schema) {
         await editStatus(`✅ Text provider ${provider} succeeded!`);
         return { json, provider };
     }
+    if (json) {
+      let candidate = json;
+      let errors = validateAgainstSchema(candidate, schema);
+      if (errors.length) {
+        console.warn(`[text] ${provider} returned invalid JSON: ${errors.join('; ')}`);
+        await editStatus(`🛠️ ${provider} returned invalid fields:\n• ${errors.slice(0, 5).join('\n• ')}\nAsking it to fix them...`);
+        const fixed = await getTextFromProvider(provider, systemPrompt, buildRepairPrompt(userPrompt, candidate, errors));
+        const fixedErrors = fixed ? validateAgainstSchema(fixed, schema) : errors;
+        if (fixed && fixedErrors.length < errors.length) { candidate = fixed; errors = fixedErrors; }
+      }
+      if (!errors.length) {
+        await editStatus(`✅ Text provider ${provider} succeeded!`);
+        return { json: candidate, provider };
+      }
+      if (!bestInvalid || errors.length < bestInvalid.errors.length) bestInvalid = { json: candidate, provider, errors };
+      await editStatus(`❌ ${provider} still invalid after repair:\n• ${errors.slice(0, 5).join('\n• ')}`);
+      continue;
+    }
     await editStatus(`❌ Text provider ${provider} failed.`);
   }
+  if (bestInvalid) {
+    await editStatus(`⚠️ Using ${bestInvalid.provider}'s answer with ${bestInvalid.errors.length} validation issue(s); auto-correcting what I can.`);
+    return { json: bestInvalid.json, provider: bestInvalid.provider, errors: bestInvalid.errors };
+  }
   return { json: null, provider: null };
 }
 
 /* ===================== IMAGE GENERATION ===================== */
 // RESTORED: This function was accidentally deleted.
+// Style presets for generated images; the chosen one becomes the closing style clause of the auto prompt.
+const IMAGE_STYLES = {
+  photo: { label: '📷 Photoreal', text: 'ultra realistic, 4K, photorealistic lighting, cinematic style' },
+  gradient: { label: '🌈 Minimal gradient', text: 'minimal abstract gradient background, soft mesh gradients, smooth colour transitions, generous negative space' },
+  isometric: { label: '🧊 3D isometric', text: '3D isometric illustration, soft clay render, studio lighting, clean composition' },
+  neon: { label: '🌃 Neon', text: 'neon glow on a dark background, synthwave lighting, vibrant magenta and cyan accents' },
+  flat: { label: '🎨 Flat illustration', text: 'flat vector illustration, bold simple shapes, limited palette, modern editorial style' },
+};
+const DEFAULT_IMAGE_STYLE = IMAGE_STYLES[process.env.IMAGE_STYLE] ? process.env.IMAGE_STYLE : 'photo';
+const imageStyleOf = (prod = {}) => (IMAGE_STYLES[prod.imageStyle] ? prod.imageStyle : DEFAULT_IMAGE_STYLE);
+
+// prod.promptOverride (typed by the admin) wins over the auto prompt.
 function buildImagePrompt(prod = {}) {
+  if (prod.promptOverride) return prod.promptOverride;
   const name = (prod.name || 'Unnamed Product').trim();
   const plan = (prod.plan && !/^(unknown|null|n\/a|na|none|-|\s*)$/i.test(String(prod.plan)))
     ? String(prod.plan).trim()
@@ -462,100 +1014,260 @@ function buildImagePrompt(prod = {}) {
   return [
     `High-quality, detailed hero image for: ${name}${plan ? ' — ' + plan : ''}.`,
     shortDesc ? `Visual theme inspired by: ${shortDesc}.` : '',
-    'No text, no watermarks, no logos, ultra realistic, 4K, photorealistic lighting, cinematic style'
+    `No text, no watermarks, no logos, ${IMAGE_STYLES[imageStyleOf(prod)].text}`
   ]
   .filter(Boolean)
   .join(' ');
 }
 
-function gradientBackgroundSVG(width = 1024, height = 1024) {
-  const svg = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0%" stop-color="#111827"/><stop offset="50%" stop-color="#1f2937"/><stop offset="100%" stop-color="#374151"/></linearGradient></defs><rect width="100%" height="100%" fill="url(#g)"/></svg>`;
-  return Buffer.from(svg);
+/* ---- banner templates ---- */
+// Templates are JSON (assets/banner-templates.json, or BANNER_TEMPLATES_PATH). Sizes are px on a 1024px canvas
+// and scale with the image. Any colour may be "accent": the product's brand accent (prod.accentColor) when it
+// has one, else the template's. layout: center | left | bottom. Badge/ribbon/logo positions:
+// top-left | top-right | top-center | bottom-left | bottom-right | bottom-center. "overlay": false = image as generated.
+const BANNER_TEMPLATES_PATH = process.env.BANNER_TEMPLATES_PATH || path.join(__dirname, 'assets', 'banner-templates.json');
+const BANNER_BASE = {
+  label: 'Classic dark', overlay: true, layout: 'center', accent: '#E5E7EB',
+  background: ['#111827', '#1F2937', '#374151'],
+  wash: { type: 'solid', color: '#000000', opacity: 0.35 },
+  title: { color: '#FFFFFF', weight: 800, size: 120, maxLines: 2 },
+  subtitle: { color: '#E5E7EB', weight: 600, size: 58 },
+  accentBar: false, priceBadge: null, ribbon: null, logo: null,
+};
+
+function loadBannerTemplates(file = BANNER_TEMPLATES_PATH) {
+  let raw = {};
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { console.warn(`[img] banner templates not loaded from ${file}: ${e.message}`); }
+  const out = {};
+  for (const [id, t] of Object.entries(raw || {})) {
+    if (!/^[a-z0-9_-]{1,24}$/i.test(id) || !t || typeof t !== 'object') { console.warn(`[img] skipping banner template "${id}"`); continue; }
+    out[id] = { ...BANNER_BASE, label: id, ...t, title: { ...BANNER_BASE.title, ...t.title }, subtitle: { ...BANNER_BASE.subtitle, ...t.subtitle } };
+  }
+  if (!Object.keys(out).length) out.classic = { ...BANNER_BASE };
+  return out;
 }
 
-const escXML = (s='') => String(s).replace(/[&<>]/g, c => ({'&':'&','<':'<','>':'>'}[c]));
+const BANNER_TEMPLATES = loadBannerTemplates();
+const DEFAULT_BANNER_TEMPLATE = BANNER_TEMPLATES[process.env.DEFAULT_BANNER_TEMPLATE] ? process.env.DEFAULT_BANNER_TEMPLATE
+  : (BANNER_TEMPLATES.storefront ? 'storefront' : Object.keys(BANNER_TEMPLATES)[0]);
+// Takes a template id, or a template object such as BANNER_BASE, which is returned as is.
+const bannerTemplate = (id) => (id && typeof id === 'object' ? id : BANNER_TEMPLATES[id] || BANNER_TEMPLATES[DEFAULT_BANNER_TEMPLATE]);
+
+function hexToRgba(hex, alpha = 1) {
+  const h = String(hex || '#000000').replace('#', '');
+  const full = h.length === 3 ? h.split('').map(c => c + c).join('') : h.padEnd(6, '0').slice(0, 6);
+  const n = parseInt(full, 16) || 0;
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
 
-async function composeTextOverBackground(backgroundBuffer, prod) {
-  if (!_sharp) return backgroundBuffer;
+// No font metrics without canvas, so both renderers lay out with the same average glyph width.
+const textWidthEstimate = (text, size, weight = 400) => String(text).length * size * (weight >= 700 ? 0.6 : 0.55);
 
-  let base = _sharp(backgroundBuffer);
-  let meta = await base.metadata().catch(() => ({}));
-  let W = Math.max(1, meta.width || 1024);
-  let H = Math.max(1, meta.height || 1024);
+function wrapToWidth(text, size, weight, maxWidth, maxLines) {
+  const lines = [];
+  let cur = '';
+  for (const w of String(text || '').trim().split(/\s+/)) {
+    const cand = cur ? `${cur} ${w}` : w;
+    if (!cur || textWidthEstimate(cand, size, weight) <= maxWidth) cur = cand;
+    else { lines.push(cur); cur = w; }
+  }
+  if (cur) lines.push(cur);
+  const fits = lines.length <= maxLines && lines.every(l => textWidthEstimate(l, size, weight) <= maxWidth);
+  if (lines.length > maxLines) lines.splice(maxLines - 1, Infinity, lines.slice(maxLines - 1).join(' ').slice(0, Math.max(4, Math.floor(maxWidth / (size * 0.6)) - 1)) + '…');
+  return { lines, fits };
+}
 
-  if (!meta.width || !meta.height) {
-    const tmp = await base.png().toBuffer();
-    base = _sharp(tmp);
-    meta = await base.metadata();
-    W = Math.max(1, meta.width || 1024);
-    H = Math.max(1, meta.height || 1024);
-  }
-
-  const titleRaw = String(prod?.name || 'Product').trim();
-  const planText = (!prod?.plan || /^(unknown|null|n\/a|na|none|-|\s*)$/i.test(String(prod.plan))) ? '' : String(prod.plan);
-
-  const scale = Math.min(W, H) / 1024;
-  const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-  let titleFont = clamp(Math.round(120 * scale), 28, 180);
-  const planFont = clamp(Math.round(58 * scale), 18, 120);
-
-  function wrapByChars(text, maxCharsPerLine) {
-    const words = String(text||'').trim().split(/\s+/);
-    const lines = [];
-    let cur = '';
-    for (const w of words) {
-      const cand = cur ? `${cur} ${w}` : w;
-      if (cand.length <= maxCharsPerLine) cur = cand;
-      else { if (cur) lines.push(cur); cur = w; }
-      if (lines.length >= 2) break;
-    }
-    if (cur && lines.length < 2) lines.push(cur);
-    return lines;
+function gradientVector({ x, y, w, h, direction }) {
+  if (direction === 'left') return [x + w, y, x, y];
+  if (direction === 'down') return [x, y, x, y + h];
+  if (direction === 'up') return [x, y + h, x, y];
+  return [x, y, x + w, y];
+}
+
+// Turns a template + product into drawing ops (rect | gradient | text | logo) shared by both renderers.
+function layoutBanner(W, H, tpl, prod = {}) {
+  const s = Math.min(W, H) / 1024;
+  const m = Math.round(Math.min(W, H) * 0.06);
+  const accent = prod.accentColor || tpl.accent;
+  const colour = (c) => (c === 'accent' ? accent : c);
+  const known = (v) => ok(v) && !/^(unknown|null|n\/a|na|none|-|\s*)$/i.test(String(v));
+  const corner = (pos = 'top-left', bw, bh, flush = false) => {
+    const [v, hz] = String(pos).split('-');
+    const edge = flush ? 0 : m;
+    const x = hz === 'left' ? edge : hz === 'right' ? W - edge - bw : Math.round((W - bw) / 2);
+    return { x, y: v === 'bottom' ? H - m - bh : m };
+  };
+  const ops = [];
+
+  const wash = tpl.wash;
+  if (wash?.type === 'linear') ops.push({ type: 'gradient', x: 0, y: 0, w: W, h: H, direction: wash.direction || 'right', from: colour(wash.from || '#000000'), to: colour(wash.to || '#000000'), fromOpacity: wash.fromOpacity ?? 0.8, toOpacity: wash.toOpacity ?? 0 });
+  else if (wash) ops.push({ type: 'rect', x: 0, y: 0, w: W, h: H, fill: colour(wash.color || '#000000'), opacity: wash.opacity ?? 0.35 });
+
+  // Badge and ribbon first, so the title block can keep clear of a bottom badge.
+  const pill = (spec, text, flush) => {
+    const size = Math.round((spec.size || 48) * s);
+    const bh = Math.round(size * 1.7);
+    const bw = Math.round(textWidthEstimate(text, size, spec.weight) + size * (flush ? 2 : 1.4));
+    const { x, y } = corner(spec.position, bw, bh, flush);
+    return [
+      { type: 'rect', x, y, w: bw, h: bh, r: flush ? 0 : Math.round(bh / 2), fill: colour(spec.background || 'accent'), opacity: 1 },
+      { type: 'text', x: x + bw / 2, y: y + Math.round(bh / 2 + size * 0.36), text, size, weight: spec.weight || 700, fill: colour(spec.color || '#FFFFFF'), anchor: 'middle' },
+    ];
+  };
+  const price = ok(prod.price) ? formatPriceWithPeriod(prod.price, prod.currency, prod.billingPeriod) : '';
+  const badgeOps = tpl.priceBadge && price ? pill(tpl.priceBadge, price, false) : [];
+  const ribbonOps = tpl.ribbon && known(prod.validity) ? pill(tpl.ribbon, String(prod.validity).toUpperCase(), true) : [];
+  const bottomReserve = badgeOps.length && /^bottom/.test(tpl.priceBadge.position) ? badgeOps[0].h + m / 2 : 0;
+
+  const anchor = tpl.layout === 'center' ? 'middle' : 'start';
+  const areaW = tpl.layout === 'left' ? Math.round(W * 0.62) - m : W - 2 * m;
+  const maxLines = Math.max(1, tpl.title.maxLines || 2);
+  let titleSize = Math.round(tpl.title.size * s);
+  let wrapped = wrapToWidth(prod.name || 'Product', titleSize, tpl.title.weight, areaW, maxLines);
+  while (!wrapped.fits && titleSize > Math.round(40 * s)) {
+    titleSize -= 2;
+    wrapped = wrapToWidth(prod.name || 'Product', titleSize, tpl.title.weight, areaW, maxLines);
+  }
+  const subtitle = known(prod.plan) ? String(prod.plan) : '';
+  const subSize = Math.round(tpl.subtitle.size * s);
+  const lh = Math.round(titleSize * 1.15);
+  const gap = Math.round(Math.max(titleSize * 0.28, 18 * s));
+  const barH = tpl.accentBar ? Math.max(4, Math.round(8 * s)) : 0;
+  const blockH = wrapped.lines.length * lh + (barH ? gap + barH : 0) + (subtitle ? gap + subSize : 0);
+  let y = tpl.layout === 'bottom' ? H - m - bottomReserve - blockH : Math.round((H - blockH - bottomReserve) / 2);
+  const x = anchor === 'middle' ? Math.round(W / 2) : m;
+
+  for (const line of wrapped.lines) {
+    ops.push({ type: 'text', x, y: y + Math.round(titleSize * 0.92), text: line, size: titleSize, weight: tpl.title.weight, fill: colour(tpl.title.color), anchor });
+    y += lh;
+  }
+  if (barH) {
+    const barW = Math.round(120 * s);
+    ops.push({ type: 'rect', x: anchor === 'middle' ? x - barW / 2 : x, y: y + gap - barH, w: barW, h: barH, r: barH / 2, fill: accent, opacity: 1 });
+    y += gap + barH;
   }
+  if (subtitle) ops.push({ type: 'text', x, y: y + gap + Math.round(subSize * 0.8), text: subtitle, size: subSize, weight: tpl.subtitle.weight, fill: colour(tpl.subtitle.color), anchor });
 
-  const maxChars = Math.max(12, Math.round(18 * (W / 1024)));
-  let titleLines = wrapByChars(titleRaw, maxChars);
-  while (titleLines.join(' ').length > maxChars * 2 && titleFont > 28) {
-    titleFont -= 2;
-    titleLines = wrapByChars(titleRaw, maxChars);
+  ops.push(...badgeOps, ...ribbonOps);
+  if (tpl.logo) {
+    const size = Math.round(Math.min(W, H) * (tpl.logo.size || 0.14));
+    const { x: lx, y: ly } = corner(tpl.logo.position, size, size);
+    ops.push({ type: 'logo', x: lx, y: ly, w: size, h: size, plate: tpl.logo.plate ? colour(tpl.logo.plate) : null });
   }
-  titleLines = titleLines.slice(0, 2);
+  return ops;
+}
 
-  const raster = await rasterizeTextOverlayPNG(W, H, titleLines, titleFont, planText, planFont);
-  if (raster) {
-    return base
-      .composite([{ input: raster, left: 0, top: 0 }])
-      .png()
-      .toBuffer();
+function renderBannerCanvas(W, H, ops) {
+  const { createCanvas, registerFont } = _canvas;
+  try { registerFont(FONT_PATH, { family: 'AppInter' }); } catch { /* ignore re-register errors */ }
+  const c = createCanvas(W, H);
+  const g = c.getContext('2d');
+  for (const op of ops) {
+    if (op.type === 'rect') {
+      g.globalAlpha = op.opacity ?? 1;
+      g.fillStyle = op.fill;
+      g.beginPath();
+      const r = Math.min(op.r || 0, op.w / 2, op.h / 2);
+      g.moveTo(op.x + r, op.y);
+      g.arcTo(op.x + op.w, op.y, op.x + op.w, op.y + op.h, r);
+      g.arcTo(op.x + op.w, op.y + op.h, op.x, op.y + op.h, r);
+      g.arcTo(op.x, op.y + op.h, op.x, op.y, r);
+      g.arcTo(op.x, op.y, op.x + op.w, op.y, r);
+      g.closePath();
+      g.fill();
+      g.globalAlpha = 1;
+    } else if (op.type === 'gradient') {
+      const grad = g.createLinearGradient(...gradientVector(op));
+      grad.addColorStop(0, hexToRgba(op.from, op.fromOpacity));
+      grad.addColorStop(1, hexToRgba(op.to, op.toOpacity));
+      g.fillStyle = grad;
+      g.fillRect(op.x, op.y, op.w, op.h);
+    } else if (op.type === 'text') {
+      g.fillStyle = op.fill;
+      g.font = `${op.weight} ${op.size}px AppInter`;
+      g.textAlign = op.anchor === 'middle' ? 'center' : 'left';
+      g.textBaseline = 'alphabetic';
+      g.fillText(op.text, op.x, op.y);
+    }
   }
+  return c.toBuffer('image/png');
+}
+
+function renderBannerSvg(W, H, ops) {
+  const defs = [], body = [];
+  ops.forEach((op, i) => {
+    if (op.type === 'rect') body.push(`<rect x="${op.x}" y="${op.y}" width="${op.w}" height="${op.h}" rx="${op.r || 0}" fill="${op.fill}" fill-opacity="${op.opacity ?? 1}"/>`);
+    else if (op.type === 'gradient') {
+      const [x1, y1, x2, y2] = gradientVector(op);
+      defs.push(`<linearGradient id="g${i}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"><stop offset="0" stop-color="${op.from}" stop-opacity="${op.fromOpacity}"/><stop offset="1" stop-color="${op.to}" stop-opacity="${op.toOpacity}"/></linearGradient>`);
+      body.push(`<rect x="${op.x}" y="${op.y}" width="${op.w}" height="${op.h}" fill="url(#g${i})"/>`);
+    } else if (op.type === 'text') {
+      body.push(`<text x="${op.x}" y="${op.y}" text-anchor="${op.anchor}" font-family="AppInter, sans-serif" font-weight="${op.weight}" font-size="${op.size}" fill="${op.fill}">${escXML(op.text)}</text>`);
+    }
+  });
+  return Buffer.from(`<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg">${SVG_FONT_STYLE_FILE}<defs>${defs.join('')}</defs>${body.join('')}</svg>`);
+}
+
+async function fetchBrandLogo(prod = {}) {
+  if (prod.logoUrl) return (await fetchImageBytes(prod.logoUrl)).buf;
+  // Only a registry domain (set by /brand, or learned from a search or pasted URL) is trusted for the logo slot;
+  // a `${slug}.com` guess may belong to an unrelated company.
+  const domain = findBrand(prod.name)?.domain;
+  const url = domain && await brandfetchLogoUrl(domain);
+  if (!url) return null;
+  const { buf } = await fetchImageBytes(url);
+  await learnBrand(prod.name, { logoUrl: url });
+  return buf;
+}
 
-  const lhTitle = 1.15;
-  const titleBlockHeight = Math.round(titleFont * (titleLines.length + (titleLines.length - 1) * (lhTitle - 1)));
-  const titleY = Math.round(H * 0.50) - Math.round(titleBlockHeight * 0.25);
-  const minGapPx = Math.max(Math.round(titleFont * 0.22), Math.round(28 * scale));
-  const lastTitleBaseline = titleY + Math.round((titleLines.length - 1) * (titleFont * lhTitle));
-  const planY = planText ? (lastTitleBaseline + Math.round(titleFont * 0.9) + minGapPx) : null;
+const escXML = (s='') => String(s).replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
 
-  const titleTspans = titleLines.map((line, i) =>
-    i === 0
-      ? `<tspan x="${W/2}" y="${titleY}">${escXML(line)}</tspan>`
-      : `<tspan x="${W/2}" dy="${Math.round(titleFont * lhTitle)}">${escXML(line)}</tspan>`
-  ).join('');
+async function composeTextOverBackground(backgroundBuffer, prod, templateId = DEFAULT_BANNER_TEMPLATE) {
+  if (!_sharp) return backgroundBuffer;
+  const tpl = bannerTemplate(templateId);
+  if (tpl.overlay === false) return backgroundBuffer;
+  await loadBrandRegistry();
+  prod = withBrandStyle(prod);
 
-  const overlaySvg = `<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg">${SVG_FONT_STYLE_FILE}<rect width="100%" height="100%" fill="black" opacity="0.35"/><text class="title" text-anchor="middle" font-size="${titleFont}" fill="#FFFFFF">${titleTspans}</text>${planText ? `<text class="sub" x="${W/2}" y="${planY}" text-anchor="middle" font-size="${planFont}" fill="#E5E7EB">${escXML(planText)}</text>` : ''}</svg>`.trim();
+  let base = _sharp(backgroundBuffer);
+  let meta = await base.metadata().catch(() => ({}));
+  if (!meta.width || !meta.height) {
+    base = _sharp(await base.png().toBuffer());
+    meta = await base.metadata();
+  }
+  const W = Math.max(1, meta.width || 1024);
+  const H = Math.max(1, meta.height || 1024);
+
+  const ops = layoutBanner(W, H, tpl, prod);
+  let overlay = null;
+  if (_canvas) {
+    try { overlay = renderBannerCanvas(W, H, ops); }
+    catch (e) { console.warn('[img] canvas overlay failed, using SVG:', e.message); }
+  }
+  if (!overlay) overlay = await _sharp(renderBannerSvg(W, H, ops)).png().toBuffer();
+  const layers = [{ input: overlay, left: 0, top: 0 }];
 
-  const overlayBuf = await _sharp(Buffer.from(overlaySvg)).png().toBuffer();
+  const slot = ops.find(op => op.type === 'logo');
+  if (slot) {
+    try {
+      const logo = await fetchBrandLogo(prod);
+      if (logo) {
+        const pad = slot.plate ? Math.round(slot.w * 0.12) : 0;
+        let fitted = _sharp(logo, { density: 300 }).resize({ width: slot.w - 2 * pad, height: slot.h - 2 * pad, fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } });
+        if (pad) fitted = fitted.extend({ top: pad, bottom: pad, left: pad, right: pad, background: slot.plate });
+        layers.push({ input: await fitted.png().toBuffer(), left: slot.x, top: slot.y });
+      }
+    } catch (e) { console.warn('[img] logo slot skipped:', e.message); }
+  }
 
-  return base
-    .composite([{ input: overlayBuf, left: 0, top: 0 }])
-    .png()
-    .toBuffer();
+  return base.composite(layers).png().toBuffer();
 }
 
 /* ---- providers ---- */
-async function generateImageFromPollinations(prompt) {
+async function generateImageFromPollinations(prompt, { width = 1024, height = 1024, seed } = {}) {
   try {
-    const url = `https://image.pollinations.ai/prompt/${encodeURIComponent(prompt)}`;
+    const url = `https://image.pollinations.ai/prompt/${encodeURIComponent(prompt)}?width=${width}&height=${height}&nologo=true${seed ? `&seed=${seed}` : ''}`;
     const res = await fetch(url, { signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(20000) : undefined });
     if (!res.ok) throw new Error(`Pollinations HTTP ${res.status}`);
     const ab = await res.arrayBuffer();
@@ -566,15 +1278,15 @@ async function generateImageFromPollinations(prompt) {
   }
 }
 
-async function generateImageFromHuggingFace(prompt) {
+async function generateImageFromHuggingFace(prompt, { negativePrompt, width = 1024, height = 1024, seed } = {}) {
   if (!HF_KEY) { console.warn('[img] HF key missing'); return null; }
   try {
     const result = await hf.textToImage({
       model: HF_IMAGE_MODEL,
       inputs: prompt,
       parameters: {
-        negative_prompt: 'blurry, ugly, deformed, noisy, plain, boring, text, watermark, signature',
-        guidance_scale: 7.5, num_inference_steps: 28, width: 1024, height: 1024,
+        negative_prompt: negativePrompt,
+        guidance_scale: 7.5, num_inference_steps: 28, width, height, ...(seed ? { seed } : {}),
       },
     });
     return Buffer.from(await result.arrayBuffer());
@@ -605,15 +1317,18 @@ async function generateImageFromDeepAI(prompt) {
   }
 }
 
-async function generateImageFromCloudflare(prompt) {
+// Cloudflare's filter rejects many harmless product prompts; this steers them to abstract, people-free scenes.
+const cloudflareSafePrompt = (prompt) => [String(prompt||'').replace(/\banime|animation|character\b/gi, 'abstract motion graphics').replace(/\b(sexy|nsfw|nude|nudity)\b/gi, 'sfw').trim(), 'abstract geometric product background, shapes only, no people, no faces, no bodies, no text, SFW, corporate, clean'].join('. ');
+const CF_SAFETY_NEGATIVE = 'nsfw, nude, nudity, cleavage, erotic, sexual, suggestive, bikini, lingerie, skin, body, people, face, human, watermark, text, logo, hands, portrait, character, anime, cartoon, doll, ugly, deformed';
+
+async function generateImageFromCloudflare(prompt, { negativePrompt, width = 768, height = 768, seed } = {}) {
   if (!CF_ACCOUNT_ID || !CF_API_TOKEN) {
     console.warn('[img] Cloudflare creds missing');
     return null;
   }
   const model = '@cf/black-forest-labs/flux-1-schnell';
-  const safePrompt = [String(prompt||'').replace(/\banime|animation|character\b/gi, 'abstract motion graphics').replace(/\b(sexy|nsfw|nude|nudity)\b/gi, 'sfw').trim(), 'abstract geometric product background, shapes only, no people, no faces, no bodies, no text, SFW, corporate, clean'].join('. ');
   const url = `https://api.cloudflare.com/client/v4/accounts/${CF_ACCOUNT_ID}/ai/run/${model}`;
-  const body = { prompt: safePrompt, negative_prompt: 'nsfw, nude, nudity, cleavage, erotic, sexual, suggestive, bikini, lingerie, skin, body, people, face, human, watermark, text, logo, hands, portrait, character, anime, cartoon, doll, ugly, deformed', width: 768, height: 768, num_steps: 4, guidance: 3.5 };
+  const body = { prompt, negative_prompt: [CF_SAFETY_NEGATIVE, negativePrompt].filter(Boolean).join(', '), width, height, num_steps: 4, guidance: 3.5, ...(seed ? { seed } : {}) };
 
   const res = await fetch(url, {
     method: 'POST',
@@ -646,60 +1361,305 @@ async function generateImageFromCloudflare(prompt) {
   return Buffer.from(b64, 'base64');
 }
 
-async function generateBackgroundWithOrder(prod, table, order = [], editStatus = async () => {}) {
-  const prompt = buildImagePrompt(prod);
+// Offline card background (ported from the old createInitialImage): the template's gradient plus two soft
+// colour blobs. It has no subject of its own, so the banner overlay supplies the title. A seed moves the blobs.
+function generateLocalCardBackground(_prompt, { width = 1024, height = 1024, palette = BANNER_BASE.background, seed } = {}) {
+  let state = seed >>> 0;
+  const jitter = () => {
+    if (!seed) return 0;
+    state = (Math.imul(state ^ (state >>> 15), 2246822507) + 0x9e3779b9) >>> 0;
+    return (state / 2 ** 32 - 0.5) * 0.3;
+  };
+  const [x1, y1, x2, y2] = [0.21, 0.21, 0.86, 0.74].map(v => v + jitter());
+  const stops = palette.map((c, i) => `<stop offset="${Math.round(i * 100 / Math.max(1, palette.length - 1))}%" stop-color="${c}"/>`).join('');
+  const m = Math.min(width, height);
+  const blob = (id, color) => `<radialGradient id="${id}"><stop offset="0%" stop-color="${color}" stop-opacity="0.35"/><stop offset="100%" stop-color="${color}" stop-opacity="0"/></radialGradient>`;
+  const svg = `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">${stops}</linearGradient>${blob('b1', '#38bdf8')}${blob('b2', '#a78bfa')}</defs><rect width="100%" height="100%" fill="url(#g)"/><circle cx="${Math.round(width * x1)}" cy="${Math.round(height * y1)}" r="${Math.round(m * 0.27)}" fill="url(#b1)"/><circle cx="${Math.round(width * x2)}" cy="${Math.round(height * y2)}" r="${Math.round(m * 0.35)}" fill="url(#b2)"/></svg>`;
+  return Buffer.from(svg);
+}
+
+/* ---- image provider registry ---- */
+// Each provider: { id, label, env: [[...any-of]], sizes, negativePrompt, seed, safety, rewritePrompt?, fallbackOnly?,
+//   needsOverlay?, generate(prompt, { negativePrompt, width, height, palette, seed }) }
+// `sizes` lists the [w, h] renders the API accepts (null = any). `negativePrompt: false` folds the negatives
+// into the prompt instead. `seed: false` providers ignore the seed, but still vary between calls.
+// `safety`: 'none', 'upstream' (API may refuse and return nothing) or 'rewrite' (`rewritePrompt(prompt)`
+// sanitizes it before sending). `needsOverlay` output is textless, so it always gets a title.
+const IMAGE_PROVIDERS = new Map();
+const IMAGE_GEN_SIZE = Math.max(256, parseInt(process.env.IMAGE_GEN_SIZE || '1024', 10));
+const IMAGE_NEGATIVE_PROMPT = 'blurry, ugly, deformed, noisy, plain, boring, text, watermark, signature';
+
+function registerImageProvider(def) {
+  if (!def?.id || typeof def.generate !== 'function') throw new Error('image provider needs id + generate');
+  if (def.safety === 'rewrite' && typeof def.rewritePrompt !== 'function') throw new Error(`image provider ${def.id}: safety 'rewrite' needs rewritePrompt`);
+  IMAGE_PROVIDERS.set(def.id, { env: [], sizes: null, negativePrompt: false, seed: false, safety: 'none', label: def.id, ...def });
+}
+
+const isImageProviderConfigured = (id) => {
+  const p = IMAGE_PROVIDERS.get(id);
+  return !!p && p.env.every(anyOf => [].concat(anyOf).some(k => !!process.env[k]));
+};
+const configuredImageProviders = () => Array.from(IMAGE_PROVIDERS.values()).filter(p => isImageProviderConfigured(p.id));
+
+// Closest supported render: same aspect ratio first, then nearest pixel count.
+function pickImageSize(p, width, height) {
+  if (!p.sizes?.length) return [width, height];
+  const want = width / height;
+  const cost = ([w, h]) => Math.abs(Math.log((w / h) / want)) * 10 + Math.abs(Math.log((w * h) / (width * height)));
+  return p.sizes.reduce((best, s) => (cost(s) < cost(best) ? s : best));
+}
+
+registerImageProvider({
+  id: 'cloudflare', label: '🟧 Cloudflare Workers AI', env: [['CLOUDFLARE_ACCOUNT_ID'], ['CLOUDFLARE_API_TOKEN']],
+  sizes: [[768, 768]], negativePrompt: true, seed: true, safety: 'rewrite', rewritePrompt: cloudflareSafePrompt,
+  generate: (prompt, opts) => generateImageFromCloudflare(prompt, opts),
+});
+registerImageProvider({
+  id: 'hf', label: '🤗 Hugging Face', env: [['HUGGING_FACE_API_KEY']],
+  sizes: [[1024, 1024], [1152, 896], [1216, 832], [1344, 768]], negativePrompt: true, seed: true, safety: 'upstream',
+  generate: (prompt, opts) => generateImageFromHuggingFace(prompt, opts),
+});
+registerImageProvider({
+  id: 'deepai', label: '🟦 DeepAI', env: [['DEEPAI_API_KEY']],
+  sizes: [[512, 512]], negativePrompt: false, safety: 'upstream',
+  generate: (prompt) => generateImageFromDeepAI(prompt),
+});
+registerImageProvider({
+  id: 'pollinations', label: '🖼️ Pollinations (Free)',
+  sizes: null, negativePrompt: false, seed: true, safety: 'none',
+  generate: (prompt, opts) => generateImageFromPollinations(prompt, opts),
+});
+registerImageProvider({
+  id: 'local', label: '🟣 Local Card (No API)', fallbackOnly: true, needsOverlay: true,
+  sizes: null, negativePrompt: false, seed: true, safety: 'none',
+  generate: async (prompt, opts) => generateLocalCardBackground(prompt, opts),
+});
+
+function defaultImageProviderOrder() {
+  const fromEnv = (process.env.IMAGE_PROVIDER_ORDER || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (fromEnv.length) return fromEnv;
+  return configuredImageProviders().filter(p => !p.fallbackOnly).map(p => p.id);
+}
+
+// Drops unknown/unconfigured ids (with a warning) and appends fallback-only providers, so `local` always runs last.
+function resolveImageProviderOrder(order = []) {
+  const seen = new Set();
+  const out = [];
+  for (const id of (order.length ? order : defaultImageProviderOrder())) {
+    if (seen.has(id)) continue;
+    seen.add(id);
+    if (!IMAGE_PROVIDERS.has(id)) { console.warn(`[img] unknown provider "${id}" ignored (known: ${[...IMAGE_PROVIDERS.keys()].join(', ')})`); continue; }
+    if (!isImageProviderConfigured(id)) { console.warn(`[img] provider "${id}" skipped: missing ${IMAGE_PROVIDERS.get(id).env.map(a => [].concat(a).join('|')).join(', ')}`); continue; }
+    out.push(id);
+  }
+  for (const p of configuredImageProviders()) if (p.fallbackOnly && !seen.has(p.id)) out.push(p.id);
+  return out;
+}
+
+// Same boot-time check as TEXT_PROVIDER_ORDER.
+if (process.env.IMAGE_PROVIDER_ORDER) resolveImageProviderOrder();
+
+const imageOrderStartingWith = (id) => [id, ...defaultImageProviderOrder().filter(x => x !== id)];
+
+// The exact text a provider receives: its safety rewrite, plus the negatives if it has no negative-prompt field.
+function finalImagePrompt(p, prompt) {
+  const text = p.safety === 'rewrite' ? p.rewritePrompt(prompt) : prompt;
+  return p.negativePrompt ? text : `${text}. Avoid: ${IMAGE_NEGATIVE_PROMPT}`;
+}
+
+async function generateImageFromProvider(id, prompt, { width = IMAGE_GEN_SIZE, height = IMAGE_GEN_SIZE, palette, seed } = {}) {
+  const p = IMAGE_PROVIDERS.get(id);
+  if (!p) return null;
+  const [w, h] = pickImageSize(p, width, height);
+  const finalPrompt = finalImagePrompt(p, prompt);
+  const opts = { negativePrompt: p.negativePrompt ? IMAGE_NEGATIVE_PROMPT : undefined, width: w, height: h, palette, seed: p.seed ? seed : undefined };
+  return tryWithRetries(`image:${id}`, () => p.generate(finalPrompt, opts), p.fallbackOnly ? 1 : IMAGE_RETRIES);
+}
+
+// Records the prompt, seed and provider of the image it returns on prod (imagePrompt/imageSeed/imageProvider),
+// so passing them back as { prompt, seed } with that provider first reproduces it.
+async function generateBackgroundWithOrder(prod, table, order = [], editStatus = async () => {}, { template = DEFAULT_BANNER_TEMPLATE, prompt = buildImagePrompt(prod), seed = null } = {}) {
   console.log('[img] Using image prompt:', prompt);
+  const tpl = bannerTemplate(template);
 
-  const defaultOrder = ['cloudflare', 'hf', 'deepai', 'pollinations'];
-  order = order.length ? order : defaultOrder;
+  for (const provider of resolveImageProviderOrder(order)) {
+    const p = IMAGE_PROVIDERS.get(provider);
+    await editStatus(`➡️ Trying image provider: ${p.label}...`);
+    const useSeed = seed || randomSeed();
+    let buf = await generateImageFromProvider(provider, prompt, { palette: tpl.background || BANNER_BASE.background, seed: useSeed });
 
-  for (const provider of order) {
-    await editStatus(`➡️ Trying image provider: ${provider}...`);
-    let buf = null;
-    if (provider === 'hf') {
-        buf = await tryWithRetries('image:hf', () => generateImageFromHuggingFace(prompt), IMAGE_RETRIES);
-    } else if (provider === 'cloudflare') {
-        buf = await tryWithRetries('image:cloudflare', () => generateImageFromCloudflare(prompt), IMAGE_RETRIES);
-    } else if (provider === 'deepai') {
-        buf = await tryWithRetries('image:deepai', () => generateImageFromDeepAI(prompt), IMAGE_RETRIES);
-    } else if (provider === 'pollinations') {
-        buf = await tryWithRetries('image:pollinations', () => generateImageFromPollinations(prompt), IMAGE_RETRIES);
+    if (buf?.length) {
+        // "No overlay" on a textless background would leave a bare gradient.
+        const tplId = p.needsOverlay && tpl.overlay === false ? BANNER_BASE : template;
+        await editStatus(`✅ ${p.label} succeeded! Applying the ${bannerTemplate(tplId).label} template...`);
+        buf = await composeTextOverBackground(buf, prod, tplId).catch((e) => { console.warn('[img] template overlay failed:', e.message); return buf; });
+        let hosted;
+        try { hosted = await rehostToSupabase(buf, `${prod.name}_${provider}.png`, table); }
+        catch (e) { await editStatus(`⚠️ ${p.label}: ${e.message}. Trying next...`); continue; }
+        recordImageRecipe(prod, { prompt, seed: p.seed ? useSeed : null, provider });
+        return hosted;
     }
+    await editStatus(`❌ ${p.label} failed. Trying next...`);
+  }
 
-    if (buf?.length) {
-        await editStatus(`✅ ${provider} succeeded! Rehosting image...`);
-        return await rehostToSupabase(buf, `${prod.name}_${provider}.png`, table);
+  console.error('[img] every image provider failed, including the local card');
+  return null;
+}
+
+// Saved with the product as optional columns imagePrompt text, imageSeed bigint, imageProvider text.
+function recordImageRecipe(prod, { prompt, seed, provider }) {
+  prod.imagePrompt = prompt;
+  prod.imageSeed = seed;
+  prod.imageProvider = provider;
+}
+
+/* ---- image candidates ---- */
+const IMAGE_CANDIDATES = Math.min(10, Math.max(2, parseInt(process.env.IMAGE_CANDIDATES || '4', 10))); // media group max is 10
+const IMAGE_MODES = ['single', 'seeds', 'each'];
+const randomSeed = () => crypto.randomInt(1, 2 ** 31 - 1);
+
+// Renders run in parallel and stop at the budget, leaving the rest of Vercel's 60s for sending the previews.
+const IMAGE_CANDIDATE_CONCURRENCY = Math.max(1, parseInt(process.env.IMAGE_CANDIDATE_CONCURRENCY || '2', 10));
+const IMAGE_CANDIDATE_BUDGET_MS = Math.max(10000, parseInt(process.env.IMAGE_CANDIDATE_BUDGET_MS || '40000', 10));
+
+// mode 'seeds': up to `count` renders from the first provider that answers; 'each': one from every provider
+// in order until `count`. Whatever is ready when the budget runs out is returned. Candidates come back with
+// the template applied but are NOT uploaded.
+async function generateImageCandidates(prod, order = [], { mode = 'seeds', count = IMAGE_CANDIDATES, template = DEFAULT_BANNER_TEMPLATE, editStatus = async () => {}, budgetMs = IMAGE_CANDIDATE_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const prompt = buildImagePrompt(prod);
+  const tpl = bannerTemplate(template);
+  let ready = 0, failed = false;
+
+  const render = async (provider) => {
+    const p = IMAGE_PROVIDERS.get(provider);
+    const seed = randomSeed();
+    const buf = await generateImageFromProvider(provider, prompt, { palette: tpl.background || BANNER_BASE.background, seed });
+    if (!buf?.length) { failed = true; return null; }
+    const tplId = p.needsOverlay && tpl.overlay === false ? BANNER_BASE : template;
+    let composed = await composeTextOverBackground(buf, prod, tplId).catch((e) => { console.warn('[img] template overlay failed:', e.message); return buf; });
+    // Telegram previews need a raster; the local card is SVG until it goes through sharp.
+    if (_sharp && isSvgBuffer(composed)) composed = await _sharp(composed).png().toBuffer().catch(() => composed);
+    ready++;
+    await editStatus(`🎲 ${Math.min(ready, count)}/${count} candidates ready (${p.label}), ${Math.max(0, Math.round((deadline - Date.now()) / 1000))}s left...`);
+    return { buf: composed, provider, seed: p.seed ? seed : null, prompt };
+  };
+
+  const providers = resolveImageProviderOrder(order);
+  await editStatus(`🎲 Generating ${count} candidates...`);
+  if (mode === 'each') {
+    const got = await mapWithConcurrency(providers, IMAGE_CANDIDATE_CONCURRENCY, render, { deadline, shouldStop: () => ready >= count });
+    return got.filter(Boolean).slice(0, count);
+  }
+  // 'seeds': a provider that fails once is dropped for the next one rather than asked again.
+  for (const provider of providers) {
+    if (Date.now() >= deadline) break;
+    failed = false;
+    const got = (await mapWithConcurrency(Array(count).fill(provider), IMAGE_CANDIDATE_CONCURRENCY, render, { deadline, shouldStop: () => failed })).filter(Boolean);
+    if (got.length) return got;
+  }
+  return [];
+}
+
+/* ---- brand registry ---- */
+// Table: brand_registry (id bigserial primary key, name text unique not null, aliases text[], domain text,
+//   logo_url text, accent text, hero_image text, source text default 'manual', updated_at timestamptz)
+// Managed with /brand; successful lookups fill in blank fields ('auto' rows) but never overwrite a value.
+// DEFAULT_BRANDS apply for any brand the table doesn't have, or when it cannot be read.
+const BRANDS_TABLE = process.env.BRANDS_TABLE || 'brand_registry';
+const BRAND_CACHE_MS = Math.max(0, parseInt(process.env.BRAND_CACHE_MS || '300000', 10));
+const BRAND_COLUMNS = { aliases: 'aliases', domain: 'domain', logoUrl: 'logo_url', accent: 'accent', heroImage: 'hero_image' };
+const DEFAULT_BRANDS = [
+  ['v0', 'v0.dev'], ['Gamma', 'gamma.app'], ['Spotify', 'spotify.com'], ['Netflix', 'netflix.com'], ['YouTube', 'youtube.com'],
+  ['Crunchyroll', 'crunchyroll.com'], ['ElevenLabs', 'elevenlabs.io'], ['Coursera', 'coursera.org'], ['Scribd', 'scribd.com'],
+  ['Skillshare', 'skillshare.com'], ['Kittl', 'kittl.com'], ['Perplexity', 'perplexity.ai'],
+].map(([name, domain]) => ({ name, aliases: [], domain, logoUrl: null, accent: null, heroImage: null, source: 'default' }));
+let brandRegistry = DEFAULT_BRANDS;
+let brandRegistryAt = 0;
+
+const brandKey = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+const fromBrandRow = (r) => ({ id: r.id, name: r.name, aliases: Array.isArray(r.aliases) ? r.aliases : [], domain: r.domain || null, logoUrl: r.logo_url || null, accent: r.accent || null, heroImage: r.hero_image || null, source: r.source || 'manual' });
+const toBrandColumns = (fields) => Object.fromEntries(Object.entries(fields).filter(([k]) => k in BRAND_COLUMNS).map(([k, v]) => [BRAND_COLUMNS[k], v ?? null]));
+
+async function loadBrandRegistry(force = false) {
+  if (!force && brandRegistryAt && Date.now() - brandRegistryAt < BRAND_CACHE_MS) return brandRegistry;
+  const { data, error } = await supabase.from(BRANDS_TABLE).select('id,name,aliases,domain,logo_url,accent,hero_image,source').order('name');
+  // Stamp failures too, so a missing table or outage costs one query per BRAND_CACHE_MS rather than one per call.
+  brandRegistryAt = Date.now();
+  if (error) { console.warn('[brands] load failed, keeping current registry:', error.message); return brandRegistry; }
+  const rows = (data || []).map(fromBrandRow);
+  brandRegistry = [...rows, ...DEFAULT_BRANDS.filter(d => !rows.some(r => brandKey(r.name) === brandKey(d.name)))];
+  return brandRegistry;
+}
+
+// Whole-word match on the cleaned product name (or the same letters run together, for "Eleven Labs");
+// the longest matching name/alias wins, so "YouTube Music" beats "YouTube".
+function findBrand(text = '') {
+  const clean = shortBrandName({ name: text }).toLowerCase();
+  const list = clean.replace(/[^a-z0-9]+/g, ' ').trim().split(' ');
+  const words = ` ${list.join(' ')} `;
+  const runs = new Set(list.flatMap((_, i) => list.slice(i).map((__, j) => list.slice(i, i + j + 1).join(''))));
+  let best = null, bestLen = 0;
+  for (const b of brandRegistry) {
+    for (const term of [b.name, ...b.aliases]) {
+      const k = brandKey(term);
+      if (!k || k.length <= bestLen) continue;
+      const spaced = ` ${String(term).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+      if (words.includes(spaced) || runs.has(k)) { best = b; bestLen = k.length; }
     }
-    await editStatus(`❌ ${provider} failed. Trying next...`);
   }
+  return best;
+}
+const findBrandByName = (name) => brandRegistry.find(b => brandKey(b.name) === brandKey(name) || b.aliases.some(a => brandKey(a) === brandKey(name))) || null;
+
+// Registry domain first, else a `${slug}.com` guess.
+function resolveBrandDomain(name = '') {
+  if (!name) return null;
+  const brand = findBrand(name);
+  if (brand?.domain) return brand.domain;
+  const slug = brandKey(shortBrandName({ name }));
+  return slug.length >= 3 ? `${slug}.com` : null;
+}
 
+// Brand accent and logo for banner templates; values already on the product win.
+function withBrandStyle(prod = {}) {
+  const brand = findBrand(prod.name);
+  if (!brand) return prod;
+  return { ...prod, accentColor: prod.accentColor || brand.accent || undefined, logoUrl: prod.logoUrl || brand.logoUrl || undefined };
+}
+
+// Records what a successful lookup found. Only blank fields are filled, so /brand edits always stick.
+async function learnBrand(name, fields = {}) {
+  const brandName = shortBrandName({ name }).replace(/[^\p{L}\p{N}\s.&+'-]+/gu, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+  if (brandKey(brandName).length < 2 || !Object.values(fields).some(Boolean)) return;
   try {
-    await editStatus('⚠️ All providers failed. Creating a fallback image...');
-    const base = gradientBackgroundSVG();
-    const finalBuf = await composeTextOverBackground(base, prod);
-    return await rehostToSupabase(finalBuf, `${prod.name}_fallback.png`, table);
+    await loadBrandRegistry();
+    const existing = findBrand(name) || findBrandByName(brandName);
+    const patch = Object.fromEntries(Object.entries(fields).filter(([k, v]) => v && !existing?.[k]));
+    if (!Object.keys(patch).length) return;
+    const now = new Date().toISOString();
+    const { error } = existing?.id
+      ? await supabase.from(BRANDS_TABLE).update({ ...toBrandColumns(patch), updated_at: now }).eq('id', existing.id)
+      : await supabase.from(BRANDS_TABLE).insert([{ name: existing?.name || brandName, source: 'auto', ...toBrandColumns({ ...existing, ...patch }), updated_at: now }]);
+    if (error) throw new Error(error.message);
+    await loadBrandRegistry(true);
   } catch (e) {
-    console.error('[img] Fallback generation failed', e);
-    return null;
+    console.warn(`[brands] could not record ${brandName}: ${e.message}`);
   }
 }
 
 /* ---- brand/og/search helpers ---- */
-// RESTORED: This function was accidentally deleted.
-function resolveBrandDomain(name = '') {
-  if (!name) return null;
-  const cleanName = shortBrandName({ name });
-  const n = cleanName.toLowerCase().trim();
-  const map = {
-    v0: 'v0.dev', gamma: 'gamma.app', spotify: 'spotify.com', netflix: 'netflix.com', youtube: 'youtube.com',
-    crunchyroll: 'crunchyroll.com', elevenlabs: 'elevenlabs.io', coursera: 'coursera.org', scribd: 'scribd.com',
-    skillshare: 'skillshare.com', kittl: 'kittl.com', perplexity: 'perplexity.ai'
-  };
-  for (const k in map) {
-      if (n.includes(k)) return map[k];
-  }
-  const slug = n.replace(/[^a-z0-9]/g, '');
-  return slug.length >= 3 ? `${slug}.com` : null;
+async function brandfetchLogoUrl(domain) {
+  if (!domain) return null;
+  try {
+    const res = await fetch(`https://api.brandfetch.io/v2/logo/${domain}`, {
+      signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(5000) : undefined,
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    const logo = data?.formats?.find(f => f.format === 'png') || data?.formats?.find(f => f.format === 'svg');
+    return logo?.src || null;
+  } catch (e) { console.warn(`[img] Brandfetch for ${domain} failed: ${e.message}`); return null; }
 }
 
 async function getOG(url) {
@@ -711,59 +1671,76 @@ async function getOG(url) {
     return { image: pick('og:image:secure_url') || pick('og:image') };
   } catch { return {}; }
 }
-async function findBestImageWithSearch(query) {
+const IMAGE_SEARCH_CANDIDATES = Math.max(1, parseInt(process.env.IMAGE_SEARCH_CANDIDATES || '5', 10));
+
+// Scores the first IMAGE_SEARCH_CANDIDATES results; see pickBestImage for the return value.
+async function findBestImageWithSearch(query, brand = null, { deadline = Date.now() + IMAGE_PICK_BUDGET_MS } = {}) {
   try {
     console.log(`[img] DuckDuckGo image search for "${query}"`);
     const url = `https://duckduckgo.com/?q=${encodeURIComponent(query)}&t=h_&iax=images&ia=images`;
     const res = await fetch(url, {
       headers: { 'User-Agent': 'Mozilla/5.0' },
-      signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(10000) : undefined,
+      signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(Math.max(1000, Math.min(10000, deadline - Date.now()))) : undefined,
     });
     if (!res.ok) return null;
     const html = await res.text();
     const regex = /"image":"(https?:\/\/[^"]+)"/g;
     let m; const urls = [];
     while ((m = regex.exec(html)) !== null) urls.push(m[1]);
-    const best = urls.find(u => u.length > 50 && !u.includes('data:image'));
-    return best || null;
+    const picks = [...new Set(urls)].filter(u => !u.includes('data:image')).slice(0, IMAGE_SEARCH_CANDIDATES);
+    return await pickBestImage(picks.map(u => ({ url: u, kind: 'logo', source: 'image search' })), brand, { deadline });
   } catch (e) { console.warn('[img] image search failed:', e.message); return null; }
 }
 
-async function tryBrandImages(prod, table) {
-  const domain = resolveBrandDomain(prod.name);
-  if (domain) {
-    const fullUrl = (domain.startsWith('http') ? '' : 'https://') + domain;
-    try {
-      const og = await getOG(fullUrl);
-      if (og.image) {
-        return await rehostToSupabase(og.image, `${prod.name}.jpg`, table);
-      }
-    } catch (e) { console.warn(`[img] OG fetch for ${fullUrl} failed: ${e.message}`); }
-
-    try {
-      const res = await fetch(`https://api.brandfetch.io/v2/logo/${domain}`, {
-        signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(5000) : undefined,
-      });
-      if (res.ok) {
-        const data = await res.json();
-        const logo = data?.formats?.find(f => f.format === 'png') || data?.formats?.find(f => f.format === 'svg');
-        if (logo?.src) {
-          return await rehostToSupabase(logo.src, `${prod.name}_logo.png`, table);
-        }
-      }
-    } catch (e) { console.warn(`[img] Brandfetch for ${domain} failed: ${e.message}`); }
+// Registry hero image, then the product page's / brand site's OG image, then a logo, then image search.
+// Each stage only wins with a passing quality score; its score is kept in prod.imageScores for the review card.
+// What works from a registry domain is learned into the registry; a `${slug}.com` guess is tried but never learned.
+async function tryBrandImages(prod, table, { pageImage = null, deadline = Date.now() + IMAGE_PICK_BUDGET_MS } = {}) {
+  await loadBrandRegistry();
+  const brand = findBrand(prod.name);
+  const domain = brand?.domain || resolveBrandDomain(prod.name);
+  const ref = { name: brand?.name || shortBrandName(prod), domain };
+  const fullUrl = domain ? (domain.startsWith('http') ? '' : 'https://') + domain : null;
+
+  const stages = [
+    async () => [{ url: brand?.heroImage, kind: 'photo', source: 'registry hero' }],
+    async () => {
+      const og = fullUrl ? await getOG(fullUrl) : {};
+      return [{ url: pageImage, kind: 'photo', source: 'page image' }, { url: og.image, kind: 'photo', source: 'OG image', learn: 'heroImage' }];
+    },
+    async () => {
+      const logoUrl = brand?.logoUrl || await brandfetchLogoUrl(domain);
+      return [{ url: logoUrl, kind: 'logo', source: brand?.logoUrl ? 'registry logo' : 'Brandfetch logo', learn: 'logoUrl' }];
+    },
+  ];
+
+  for (const stage of stages) {
+    if (Date.now() >= deadline) break;
+    const best = await pickBestImage(await stage(), ref, { deadline });
+    const hosted = best && await acceptScoredImage(prod, table, best);
+    if (!hosted) continue;
+    if (best.learn && brand?.domain) await learnBrand(prod.name, { [best.learn]: best.url });
+    return hosted;
   }
 
-  const searchImageUrl = await findBestImageWithSearch(`${shortBrandName(prod)} logo png`);
-  if (searchImageUrl) {
-    try { return await rehostToSupabase(searchImageUrl, `${prod.name}_search.jpg`, table); }
-    catch (e) { console.warn('[img] rehost search failed:', e.message); }
+  if (Date.now() >= deadline) { console.warn(`[img] image budget spent for "${prod.name}"`); return null; }
+  const found = await findBestImageWithSearch(`${shortBrandName(prod)} logo png`, ref, { deadline });
+  return found ? acceptScoredImage(prod, table, found) : null;
+}
+
+async function acceptScoredImage(prod, table, pick) {
+  try {
+    const hosted = await rehostToSupabase(pick.buf, `${prod.name}_${pick.kind}.png`, table);
+    if (pick.score !== null) prod.imageScores = { ...(prod.imageScores || {}), [hosted]: { score: pick.score, source: pick.source, reasons: pick.reasons } };
+    return hosted;
+  } catch (e) {
+    console.warn(`[img] ${pick.source} rejected: ${e.message}`);
+    return null;
   }
-  return null;
 }
 
 /* ---- DuckDuckGo + Wikipedia helpers ---- */
-async function ddgSearchHTML(query, max = 8) {
+async function ddgSearchHTMLUncached(query, max = 8) {
   const url = `https://duckduckgo.com/html/?q=${encodeURIComponent(query)}&ia=web`;
   try {
     const res = await fetch(url, { headers: { 'user-agent': 'Mozilla/5.0' }, signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(12000) : undefined });
@@ -773,7 +1750,7 @@ async function ddgSearchHTML(query, max = 8) {
     return Array.from(new Set(links)).slice(0, max);
   } catch { return []; }
 }
-async function ddgSearchLite(query, max = 8) {
+async function ddgSearchLiteUncached(query, max = 8) {
   const url = `https://duckduckgo.com/lite/?q=${encodeURIComponent(query)}`;
   try {
     const res = await fetch(url, { headers: { 'user-agent': 'Mozilla/5.0' }, signal: typeof AbortSignal?.timeout === 'function' ? AbortSignal.timeout(12000) : undefined });
@@ -783,7 +1760,7 @@ async function ddgSearchLite(query, max = 8) {
     return Array.from(new Set(links)).slice(0, max);
   } catch { return []; }
 }
-async function wikiBestPage(query) {
+async function wikiBestPageUncached(query) {
   try {
     const url = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&srlimit=5&format=json`;
     const res = await fetch(url, { headers: { 'user-agent': 'Mozilla/5.0' }, signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(12000) : undefined });
@@ -792,7 +1769,7 @@ async function wikiBestPage(query) {
     return data?.query?.search?.[0]?.title || null;
   } catch { return null; }
 }
-async function wikiExtractByTitle(title) {
+async function wikiExtractByTitleUncached(title) {
   try {
     const url = `https://en.wikipedia.org/w/api.php?action=query&prop=extracts&explaintext=1&redirects=1&format=json&titles=${encodeURIComponent(title)}`;
     const res = await fetch(url, { headers: { 'user-agent': 'Mozilla/5.0' }, signal: typeof AbortSignal?.timeout==='function' ? AbortSignal.timeout(12000) : undefined });
@@ -801,11 +1778,146 @@ async function wikiExtractByTitle(title) {
     return Object.values(data?.query?.pages || {})[0]?.extract?.slice(0, 12000) || '';
   } catch { return ''; }
 }
-async function searchWebForProduct(productName, plan) {
-  const q = [productName, plan, 'price features premium plan'].filter(Boolean).join(' ');
+/* ---- evidence cache ---- */
+// Caches search results and fetched pages so re-adding variants of one brand doesn't
+// re-hit DDG / r.jina.ai / Wikipedia. Backend: EVIDENCE_CACHE=disk|supabase|off.
+// Supabase table: evidence_cache (key text primary key, value jsonb, expires_at timestamptz)
+const EVIDENCE_CACHE = (process.env.EVIDENCE_CACHE || (process.env.MODE === 'webhook' ? 'supabase' : 'disk')).toLowerCase();
+const EVIDENCE_CACHE_TABLE = process.env.EVIDENCE_CACHE_TABLE || 'evidence_cache';
+const EVIDENCE_CACHE_DIR = process.env.EVIDENCE_CACHE_DIR || path.join(os.tmpdir(), 'hp-evidence-cache');
+const EVIDENCE_TTL_MS = Math.max(0, parseInt(process.env.EVIDENCE_TTL_MS || String(3 * 24 * 3600 * 1000), 10));
+const evidenceStats = { hits: 0, misses: 0 };
+
+function normalizeCacheUrl(u = '') {
+  try {
+    const url = new URL(/^https?:\/\//i.test(u) ? u : `https://${u}`);
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+    for (const k of Array.from(url.searchParams.keys())) if (/^(utm_|ref$|fbclid$|gclid$)/i.test(k)) url.searchParams.delete(k);
+    url.searchParams.sort();
+    return `https://${url.hostname}${url.pathname.replace(/\/+$/, '') || '/'}${url.search}`;
+  } catch { return String(u).trim().toLowerCase(); }
+}
+const normalizeCacheQuery = (q = '') => String(q).toLowerCase().replace(/\s+/g, ' ').trim();
+const evidenceCacheFile = (key) => path.join(EVIDENCE_CACHE_DIR, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+
+async function evidenceCacheGet(key) {
+  try {
+    if (EVIDENCE_CACHE === 'disk') {
+      const entry = JSON.parse(await fs.promises.readFile(evidenceCacheFile(key), 'utf8'));
+      if (entry.expiresAt < Date.now()) { fs.promises.unlink(evidenceCacheFile(key)).catch(()=>{}); return undefined; }
+      return entry.value;
+    }
+    if (EVIDENCE_CACHE === 'supabase') {
+      const { data } = await supabase.from(EVIDENCE_CACHE_TABLE).select('value,expires_at').eq('key', key).maybeSingle();
+      if (!data || Date.parse(data.expires_at) < Date.now()) return undefined;
+      return data.value;
+    }
+  } catch { /* miss */ }
+  return undefined;
+}
+
+async function evidenceCacheSet(key, value) {
+  const expiresAt = Date.now() + EVIDENCE_TTL_MS;
+  try {
+    if (EVIDENCE_CACHE === 'disk') {
+      await fs.promises.mkdir(EVIDENCE_CACHE_DIR, { recursive: true });
+      await fs.promises.writeFile(evidenceCacheFile(key), JSON.stringify({ key, expiresAt, value }));
+    } else if (EVIDENCE_CACHE === 'supabase') {
+      const { error } = await supabase.from(EVIDENCE_CACHE_TABLE).upsert({ key, value, expires_at: new Date(expiresAt).toISOString() }, { onConflict: 'key' });
+      if (error) throw error;
+    }
+  } catch (e) { console.warn(`[cache] write failed for ${key.slice(0, 80)}: ${e.message}`); }
+}
+
+// Only non-empty results are stored so transient failures aren't cached.
+async function cachedEvidence(key, fn, isCacheable = (v) => !!(Array.isArray(v) ? v.length : v && (v.text ?? v))) {
+  if (EVIDENCE_CACHE === 'off' || EVIDENCE_TTL_MS <= 0) return fn();
+  const hit = await evidenceCacheGet(key);
+  if (hit !== undefined) { evidenceStats.hits++; return hit; }
+  evidenceStats.misses++;
+  const value = await fn();
+  if (isCacheable(value)) await evidenceCacheSet(key, value);
+  return value;
+}
+
+async function clearEvidenceCache() {
+  if (EVIDENCE_CACHE === 'disk') {
+    const files = await fs.promises.readdir(EVIDENCE_CACHE_DIR).catch(() => []);
+    await Promise.all(files.filter(f => f.endsWith('.json')).map(f => fs.promises.unlink(path.join(EVIDENCE_CACHE_DIR, f)).catch(()=>{})));
+    return files.length;
+  }
+  if (EVIDENCE_CACHE === 'supabase') {
+    const { count, error } = await supabase.from(EVIDENCE_CACHE_TABLE).delete({ count: 'exact' }).neq('key', '');
+    if (error) throw error;
+    return count || 0;
+  }
+  return 0;
+}
+
+const fetchWebsiteRaw = (url, opts) => url
+  ? cachedEvidence(`page:${normalizeCacheUrl(url)}`, async () => { const r = await fetchWebsiteRawUncached(url, opts); return { html: (r.html || '').slice(0, 300000), text: r.text }; })
+  : fetchWebsiteRawUncached(url, opts);
+const ddgSearchHTML = (query, max = 8) => cachedEvidence(`ddg-html:${max}:${normalizeCacheQuery(query)}`, () => ddgSearchHTMLUncached(query, max));
+const ddgSearchLite = (query, max = 8) => cachedEvidence(`ddg-lite:${max}:${normalizeCacheQuery(query)}`, () => ddgSearchLiteUncached(query, max));
+const wikiBestPage = (query) => cachedEvidence(`wiki-search:${normalizeCacheQuery(query)}`, () => wikiBestPageUncached(query));
+const wikiExtractByTitle = (title) => cachedEvidence(`wiki-extract:${normalizeCacheQuery(title)}`, () => wikiExtractByTitleUncached(title));
+
+/* ---- parallel evidence fetching ---- */
+const EVIDENCE_CONCURRENCY = Math.max(1, parseInt(process.env.EVIDENCE_CONCURRENCY || '4', 10));
+const EVIDENCE_BUDGET_MS = Math.max(5000, parseInt(process.env.EVIDENCE_BUDGET_MS || '35000', 10));
+const EVIDENCE_TARGET_PAGES = Math.max(1, parseInt(process.env.EVIDENCE_TARGET_PAGES || '6', 10));
+const EVIDENCE_MAX_PAGES = 12;
+
+// Runs `worker(item, index)` over items with at most `limit` in flight. Stops starting new
+// work once `shouldStop()` is true or the deadline passes; in-flight work is not awaited past it.
+async function mapWithConcurrency(items, limit, worker, { deadline = Infinity, shouldStop = () => false } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runner = async () => {
+    while (next < items.length && !shouldStop() && Date.now() < deadline) {
+      const i = next++;
+      try { results[i] = await worker(items[i], i); } catch (e) { results[i] = undefined; }
+    }
+  };
+  const all = Promise.all(Array.from({ length: Math.min(limit, items.length) }, runner));
+  const remaining = deadline - Date.now();
+  if (Number.isFinite(remaining)) await Promise.race([all, sleep(Math.max(0, remaining))]);
+  else await all;
+  return results;
+}
+
+// Throttled status so parallel workers don't trip Telegram's edit rate limit.
+function evidenceProgressReporter(editStatus, total, deadline) {
+  const rows = new Map(); // url -> icon
+  let last = 0, pending = null, closed = false;
+  const render = () => {
+    const done = Array.from(rows.values()).filter(v => v !== '⏳').length;
+    const useful = Array.from(rows.values()).filter(v => v === '✅').length;
+    const secs = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+    const lines = Array.from(rows.entries()).slice(-8).map(([u, icon]) => `${icon} ${(hostOf(u) || u)}${(() => { try { const p = new URL(u).pathname; return p === '/' ? '' : p.slice(0, 30); } catch { return ''; } })()}`);
+    return `🌐 Gathering evidence: ${done}/${total} checked, ${useful} useful, ${secs}s left\n${lines.join('\n')}`;
+  };
+  const flush = async (force = false) => {
+    if (closed) return;
+    if (!force && Date.now() - last < 1500) { pending = pending || setTimeout(() => { pending = null; flush(true); }, 1500); return; }
+    last = Date.now();
+    await editStatus(render());
+  };
+  return {
+    set: (url, icon) => { rows.set(url, icon); return flush(); },
+    done: async () => { if (pending) clearTimeout(pending); pending = null; await flush(true); closed = true; },
+  };
+}
+
+async function searchWebForProduct(productName, plan, { editStatus = async () => {}, budgetMs = EVIDENCE_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const q = [productName, plan, 'price features premium plan'].filter(Boolean).join(' ');
   const urls = new Set();
-  (await ddgSearchHTML(q, 8)).forEach(u => urls.add(u));
-  (await ddgSearchLite(q, 8)).forEach(u => urls.add(u));
+  await editStatus('🔎 Searching the web for product info...');
+  const [htmlHits, liteHits] = await Promise.all([ddgSearchHTML(q, 8), ddgSearchLite(q, 8)]);
+  htmlHits.forEach(u => urls.add(u));
+  liteHits.forEach(u => urls.add(u));
 
   const hosts = Array.from(urls).map(hostOf).filter(Boolean);
   const brand = String(productName||'').toLowerCase().replace(/[^a-z0-9]+/g,'');
@@ -820,22 +1932,25 @@ async function searchWebForProduct(productName, plan) {
     ['/','/pricing','/plans','/premium','/subscribe','/membership','/features','/help','/faq'].map(p => base.replace(/\/$/,'') + p).forEach(u => urls.add(u));
   }
 
-  const chunks = [];
-  let count = 0;
-  for (const u of urls) {
-    if (count >= 12) break;
-    try {
-      const { text } = await fetchWebsiteRaw(u);
-      if (text?.length > 200) {
-        chunks.push(`SOURCE: ${u}\n${text.slice(0, 4000)}`);
-        count++;
-      }
-    } catch {}
-  }
-
+  const list = Array.from(urls);
+  const progress = evidenceProgressReporter(editStatus, list.length, deadline);
+  let useful = 0;
+  const texts = await mapWithConcurrency(list, EVIDENCE_CONCURRENCY, async (u) => {
+    progress.set(u, '⏳');
+    const { text } = await fetchWebsiteRaw(u, { timeoutMs: Math.max(1000, Math.min(24000, deadline - Date.now())) });
+    const good = text?.length > 200;
+    if (good) useful++;
+    progress.set(u, good ? '✅' : '❌');
+    return good ? text : null;
+  }, { deadline, shouldStop: () => useful >= Math.min(EVIDENCE_TARGET_PAGES, EVIDENCE_MAX_PAGES) });
+  await progress.done();
+
+  // Keep search order (not completion order) so the bundle is stable between runs.
+  const chunks = list.map((u, i) => texts[i] ? `SOURCE: ${u}\n${texts[i].slice(0, 4000)}` : null).filter(Boolean).slice(0, EVIDENCE_MAX_PAGES);
   let bundle = chunks.join('\n\n').slice(0, 20000);
 
-  if (bundle.length < 800) {
+  if (bundle.length < 800 && Date.now() < deadline) {
+    await editStatus('📚 Not much found, checking Wikipedia...');
     const title = await wikiBestPage(productName);
     if (title) {
       const wikiText = await wikiExtractByTitle(title);
@@ -845,37 +1960,37 @@ async function searchWebForProduct(productName, plan) {
     }
   }
 
-  console.log(`[text] evidence: ${bundle.length} chars from ${(bundle.match(/SOURCE:/g) || []).length} pages; official=${bestHost || '-'}`);
+  console.log(`[text] evidence: ${bundle.length} chars from ${(bundle.match(/SOURCE:/g) || []).length} pages in ${Math.round((budgetMs - (deadline - Date.now())) / 1000)}s; official=${bestHost || '-'}`);
   return bundle;
 }
 
 /* ---- keyboards ---- */
-const kbTextAPIs = Markup.inlineKeyboard([
-  [Markup.button.callback('🦙 Pollinations (SearchGPT)', 'txtapi_pollinations')],
-  [Markup.button.callback('🟪 Groq (Llama3)', 'txtapi_groq')],
-  [Markup.button.callback('🔷 Gemini (rotation)', 'txtapi_gemini')],
+const kbTextAPIs = () => Markup.inlineKeyboard([
+  ...configuredTextProviders().map(p => [Markup.button.callback(p.label, `txtapi_${p.id}`)]),
   [Markup.button.callback('🤖 Auto (best → fallback)', 'txtapi_auto')],
   [Markup.button.callback('❌ Cancel', 'txtapi_cancel')],
 ]);
 
 const kbBeforeImage = Markup.inlineKeyboard([
   [Markup.button.callback('✅ Generate Image', 'confirm_generate_image')],
-  [Markup.button.callback('✏️ Edit Text', 'edit_text')],
+  [Markup.button.callback('✏️ Edit Fields', 'edit_text')],
   [Markup.button.callback('❌ Cancel', 'cancel')],
 ]);
 
-const kbImageAPIs = Markup.inlineKeyboard([
-  [Markup.button.callback('🖼️ Pollinations (Free)', 'imgapi_pollinations')],
-  [Markup.button.callback('🤗 Hugging Face', 'imgapi_hf')],
-  [Markup.button.callback('🟦 DeepAI', 'imgapi_deepai')],
-  [Markup.button.callback('🟧 Cloudflare Workers AI', 'imgapi_cloudflare')],
+const IMAGE_MODE_LABELS = { single: '1️⃣ Single image', seeds: `🎲 ${IMAGE_CANDIDATES} variants, pick one`, each: '🧩 One per provider, pick one' };
+
+const kbImageAPIs = (templateId, mode = 'single') => Markup.inlineKeyboard([
+  [Markup.button.callback(`🎨 Template: ${bannerTemplate(templateId).label}`, 'tpl_menu')],
+  [Markup.button.callback(`Mode: ${IMAGE_MODE_LABELS[mode] || IMAGE_MODE_LABELS.single}`, 'imgmode_next')],
+  [Markup.button.callback('🖌️ Prompt & style', 'imgprompt_menu')],
+  ...configuredImageProviders().map(p => [Markup.button.callback(p.label, `imgapi_${p.id}`)]),
   [Markup.button.callback('🤖 Auto (best effort)', 'imgapi_auto')],
   [Markup.button.callback('❌ Cancel', 'imgapi_cancel')],
 ]);
 
 const kbConfirm = Markup.inlineKeyboard([
   [Markup.button.callback('✅ Looks Good & Save', 'save')],
-  [Markup.button.callback('✏️ Edit Text', 'edit_text'), Markup.button.callback('🖼️ Change Image', 'change_image')],
+  [Markup.button.callback('✏️ Edit Fields', 'edit_text'), Markup.button.callback('🖼️ Images', 'gal_open')],
   [Markup.button.callback('❌ Cancel', 'cancel')]
 ]);
 const kbChooseTable = Markup.inlineKeyboard([
@@ -897,23 +2012,33 @@ function reviewMessage(prod, ai, table) {
   fixedParts.push(`*Name:* ${escapeMd(prod.name)}`);
   if (ok(prod.plan)) fixedParts.push(`*Plan:* ${escapeMd(prod.plan)}`);
   if (ok(prod.validity)) fixedParts.push(`*Validity:* ${escapeMd(prod.validity)}`);
-  fixedParts.push(`*Price:* ${escapeMd(prod.price ? `₹${prod.price}` : '-')}`);
+  fixedParts.push(`*Price:* ${escapeMd(prod.price ? formatPriceWithPeriod(prod.price, prod.currency, prod.billingPeriod) : '-')}`);
+  if (ok(prod.originalPrice) && table !== TABLES.products) fixedParts.push(`*Was:* ${escapeMd(formatPrice(prod.originalPrice, prod.currency))}`);
   
+  const cites = ai.sources || {};
   const featuresPart = (ai.features?.length > 0)
-    ? `\n*Key Features:*\n${ai.features.map(f => `- ${escapeMd(f)}`).join('\n')}`
+    ? `\n*Key Features:*\n${ai.features.map((f, i) => `- ${escapeMd(f)}${citationMarks(cites.features?.[i])}`).join('\n')}`
+    : '';
+  const sourcesPart = cites.urls?.length
+    // A raw ")" would end the Markdown link early (e.g. Wikipedia's "..._(service)" pages).
+    ? `\n*Sources:* ${cites.urls.map((u, i) => `[${i + 1}](${String(u).replace(/\(/g, '%28').replace(/\)/g, '%29')})`).join(' · ')}`
     : '';
 
   const tagsPart = `\n*Tags:* ${escapeMd(tags.join(', ') || '-')}`;
   
   let productsPart = '';
   if (table === TABLES.products) {
-    productsPart = `\n*MRP:* ${escapeMd(prod.originalPrice ?? '-')}\n*Stock:* ${escapeMd(prod.stock ?? '-')}\n*Category:* ${escapeMd(ai.category || '-')}\n*Subcategory:* ${escapeMd(ai.subcategory || '-')}`;
+    productsPart = `\n*MRP:* ${escapeMd(ok(prod.originalPrice) ? formatPrice(prod.originalPrice, prod.currency) : '-')}\n*Stock:* ${escapeMd(prod.stock ?? '-')}\n*Category:* ${escapeMd(ai.category || '-')}\n*Subcategory:* ${escapeMd(ai.subcategory || '-')}`;
   }
 
-  const imagePart = `\n*Image:* ${prod.image ? `[View Image](${prod.image})` : 'No Image'}`;
+  const imageCount = reviewImages(prod).length;
+  const quality = prod.image && prod.imageScores?.[prod.image];
+  const qualityPart = quality ? ` · score ${quality.score}/100 (${escapeMd(quality.source)}${quality.reasons?.length ? `: ${escapeMd(quality.reasons.join(', '))}` : ''})` : '';
+  const imagePart = `\n*Image:* ${prod.image ? `[View Image](${prod.image})` : 'No Image'}${imageCount > 1 ? ` (+${imageCount - 1} more)` : ''}${qualityPart}`;
 
   // Calculate remaining length for the description
-  const fixedLength = fixedParts.join('\n').length + featuresPart.length + tagsPart.length + productsPart.length + imagePart.length;
+  const descMarks = citationMarks(cites.description);
+  const fixedLength = fixedParts.join('\n').length + featuresPart.length + tagsPart.length + productsPart.length + imagePart.length + sourcesPart.length + descMarks.length;
   const remainingLength = MAX_CAPTION_LEN - fixedLength - 30; // -30 for safety margin and "Description" title
 
   let description = ai.description || prod.description || '';
@@ -921,10 +2046,10 @@ function reviewMessage(prod, ai, table) {
     description = description.substring(0, remainingLength) + '... *(truncated)*';
   }
   
-  fixedParts.push(`*Description:* ${description}`);
+  fixedParts.push(`*Description:* ${description}${descMarks}`);
 
   // Re-assemble the final message
-  const finalMessage = [ ...fixedParts, featuresPart, tagsPart, productsPart, imagePart ]
+  const finalMessage = [ ...fixedParts, featuresPart, tagsPart, productsPart, imagePart, sourcesPart ]
     .filter(Boolean) // Remove any empty parts
     .join('\n');
 
@@ -932,10 +2057,228 @@ function reviewMessage(prod, ai, table) {
 }
 
 
+/* ---- persistent session store (Supabase) ---- */
+// Table: bot_sessions (key text primary key, data jsonb, version int, expires_at timestamptz, updated_at timestamptz)
+const SESSION_TABLE = process.env.SESSION_TABLE || 'bot_sessions';
+const SESSION_TTL_MS = Math.max(0, parseInt(process.env.SESSION_TTL_MS || String(7 * 24 * 3600 * 1000), 10));
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// Both sides changed a list: keep ours (and its order), drop what they removed, append what they added. Two
+// updates that each append to the same list therefore both survive.
+function mergeLists(base = [], ours = [], theirs = []) {
+  const k = (x) => JSON.stringify(x);
+  const inBase = new Set(base.map(k)), inTheirs = new Set(theirs.map(k));
+  const out = ours.filter(x => !inBase.has(k(x)) || inTheirs.has(k(x)));
+  const seen = new Set(out.map(k));
+  for (const x of theirs) if (!inBase.has(k(x)) && !seen.has(k(x))) { out.push(x); seen.add(k(x)); }
+  return out;
+}
+
+// Three-way merge of two writers' sessions against the version both started from. A side that left a key as it
+// was in `base` takes the other side's value (deletions included); plain objects such as `review` are merged
+// key by key the same way and lists with mergeLists; any other value both sides changed is ours.
+function mergeSessions(base = {}, ours = {}, theirs = {}) {
+  const out = {};
+  for (const k of new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)])) {
+    const b = base[k], o = ours[k], t = theirs[k];
+    let v;
+    if (sameJSON(o, b)) v = t;
+    else if (sameJSON(t, b)) v = o;
+    else if (isPlainObject(o) && isPlainObject(t)) v = mergeSessions(isPlainObject(b) ? b : {}, o, t);
+    else if (Array.isArray(o) && Array.isArray(t)) v = mergeLists(Array.isArray(b) ? b : [], o, t);
+    else v = o;
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+function createSupabaseSessionStore(table = SESSION_TABLE, ttlMs = SESSION_TTL_MS) {
+  // key -> { version, data, until }: what this instance last read or wrote, i.e. the merge base on a conflict.
+  // Entries go on delete, on expiry, and in a sweep of anything past its TTL.
+  const known = new Map();
+  const MERGE_ATTEMPTS = 5;
+  let sweptAt = 0;
+  const expiresAt = () => ttlMs > 0 ? new Date(Date.now() + ttlMs).toISOString() : null;
+  // Without the table every multi-step flow would silently lose its state, so a missing table is reported once
+  // and sessions are kept in this process from then on (enough for long polling, not across serverless instances).
+  let memory = null;
+  const isMissingTable = (e) => ['42P01', 'PGRST205'].includes(e?.code) || /does not exist|could not find the table/i.test(e?.message || '');
+  function fallBackToMemory(e) {
+    if (memory) return memory;
+    console.error(`[session] table "${table}" is missing (${e.message}); sessions are kept in memory until restart. Create it with:\n`
+      + `  create table ${table} (key text primary key, data jsonb not null default '{}', version int not null default 1, expires_at timestamptz, updated_at timestamptz default now());`);
+    return (memory = new Map());
+  }
+
+  function remember(key, version, data) {
+    const now = Date.now();
+    known.set(key, { version, data: JSON.parse(JSON.stringify(data ?? {})), until: ttlMs > 0 ? now + ttlMs : Infinity });
+    if (now - sweptAt < 60000) return;
+    sweptAt = now;
+    for (const [k, v] of known) if (v.until < now) known.delete(k);
+  }
+
+  async function readRow(key) {
+    const { data, error } = await supabase.from(table).select('data,version,expires_at').eq('key', key).maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Someone else wrote this session since we read it: merge against our base and write conditionally on the
+  // version just read, retrying if yet another write slips in between.
+  async function writeMerged(key, value) {
+    const base = known.get(key)?.data || {};
+    for (let attempt = 0; attempt < MERGE_ATTEMPTS; attempt++) {
+      const fresh = await readRow(key);
+      const merged = mergeSessions(base, value, fresh?.data || {});
+      const row = { data: merged, expires_at: expiresAt(), updated_at: new Date().toISOString() };
+      let written = null;
+      if (!fresh) {
+        const { error } = await supabase.from(table).insert({ key, ...row, version: 1 });
+        if (error && error.code !== '23505') throw error;
+        if (!error) written = 1;
+      } else {
+        const { data, error } = await supabase.from(table).update({ ...row, version: fresh.version + 1 }).eq('key', key).eq('version', fresh.version).select('version');
+        if (error) throw error;
+        if (data?.length) written = fresh.version + 1;
+      }
+      if (written === null) continue;
+      // The live session object is shared by this chat's in-flight updates; bring it up to date so their next
+      // save doesn't undo the other writer's changes.
+      for (const k of Object.keys(value)) if (!(k in merged)) delete value[k];
+      Object.assign(value, merged);
+      remember(key, written, merged);
+      return;
+    }
+    throw new Error(`gave up after ${MERGE_ATTEMPTS} conflicting writes`);
+  }
+
+  return {
+    async get(key) {
+      if (memory) return memory.get(key);
+      try {
+        const row = await readRow(key);
+        if (!row) { known.delete(key); return undefined; }
+        if (row.expires_at && Date.parse(row.expires_at) < Date.now()) {
+          known.delete(key);
+          await supabase.from(table).delete().eq('key', key);
+          return undefined;
+        }
+        remember(key, row.version || 0, row.data);
+        return row.data || {};
+      } catch (e) {
+        if (isMissingTable(e)) return fallBackToMemory(e).get(key);
+        console.warn('[session] load failed:', e.message);
+        return undefined;
+      }
+    },
+
+    async set(key, value) {
+      if (memory) return void memory.set(key, value);
+      const now = new Date().toISOString();
+      try {
+        if (known.has(key)) {
+          const prev = known.get(key).version;
+          const { data, error } = await supabase.from(table)
+            .update({ data: value, version: prev + 1, expires_at: expiresAt(), updated_at: now })
+            .eq('key', key).eq('version', prev)
+            .select('version');
+          if (error) throw error;
+          if (data?.length) { remember(key, prev + 1, value); return; }
+          console.warn(`[session] version conflict for ${key}, merging`);
+          return await writeMerged(key, value);
+        }
+        const { error } = await supabase.from(table).insert({ key, data: value, version: 1, expires_at: expiresAt(), updated_at: now });
+        if (error?.code === '23505') return await writeMerged(key, value);
+        if (error) throw error;
+        remember(key, 1, value);
+      } catch (e) {
+        if (isMissingTable(e)) return void fallBackToMemory(e).set(key, value);
+        console.warn('[session] save failed:', e.message);
+      }
+    },
+
+    async delete(key) {
+      known.delete(key);
+      if (memory) return void memory.delete(key);
+      const { error } = await supabase.from(table).delete().eq('key', key);
+      if (isMissingTable(error)) return void fallBackToMemory(error).delete(key);
+      if (error) console.warn('[session] delete failed:', error.message);
+    },
+  };
+}
+
+async function purgeExpiredSessions(table = SESSION_TABLE) {
+  const { error } = await supabase.from(table).delete().lt('expires_at', new Date().toISOString());
+  if (error) console.warn('[session] purge failed:', error.message);
+}
+
+const sessionStore = (process.env.SESSION_STORE || 'supabase') === 'memory' ? undefined : createSupabaseSessionStore();
+
+/* ---- roles & permissions ---- */
+// Table: bot_roles (user_id bigint primary key, role text, granted_by bigint, updated_at timestamptz)
+// ADMIN_IDS are bootstrap owners and cannot be revoked from chat.
+const ROLES_TABLE = process.env.ROLES_TABLE || 'bot_roles';
+const ROLES = ['viewer', 'editor', 'owner'];
+const ROLE_CACHE_MS = Math.max(0, parseInt(process.env.ROLE_CACHE_MS || '60000', 10));
+const roleCache = new Map(); // userId -> { role, at }
+
+const roleRank = (role) => ROLES.indexOf(role) + 1;
+const hasRole = (ctx, role) => roleRank(ctx?.state?.role) >= roleRank(role);
+
+async function getUserRole(userId) {
+  if (!userId) return null;
+  if (ADMIN_IDS.includes(userId)) return 'owner';
+  const hit = roleCache.get(userId);
+  if (hit && Date.now() - hit.at < ROLE_CACHE_MS) return hit.role;
+  const { data, error } = await supabase.from(ROLES_TABLE).select('role').eq('user_id', userId).maybeSingle();
+  if (error) { console.warn('[roles] lookup failed:', error.message); return hit?.role ?? null; }
+  const role = ROLES.includes(data?.role) ? data.role : null;
+  roleCache.set(userId, { role, at: Date.now() });
+  return role;
+}
+
+// Minimum role per command; anything not listed needs editor.
+const COMMAND_ROLES = {
+  start: 'viewer', table: 'viewer', list: 'viewer', find: 'viewer', export: 'viewer', history: 'viewer', categories: 'viewer', brand: 'viewer',
+  smartadd: 'editor', update: 'editor', toggle: 'editor', import: 'editor', restore: 'editor', trash: 'editor', addcategory: 'editor',
+  delete: 'owner', purge: 'owner', renamecategory: 'owner', setcommands: 'owner', cache: 'owner', grant: 'owner', revoke: 'owner', roles: 'owner',
+};
+// Minimum role per callback_data pattern; first match wins, default editor.
+const ACTION_ROLES = [
+  [/^(list_page_|set_table_|resume_bot$|again_done$|del_cancel$)/, 'viewer'],
+  [/^(row_delete_|del_confirm_|purge_|cat_retag_)/, 'owner'],
+];
+
+function requiredRoleFor(ctx) {
+  const data = ctx.callbackQuery?.data;
+  if (data) return (ACTION_ROLES.find(([rx]) => rx.test(data)) || [null, 'editor'])[1];
+  const cmd = ctx.message?.text?.match(/^\/([a-z0-9_]+)(?:@\w+)?/i)?.[1]?.toLowerCase();
+  if (cmd) return COMMAND_ROLES[cmd] || 'editor';
+  return 'editor';
+}
+
+async function denyPolitely(ctx, text) {
+  if (ctx.callbackQuery) return ctx.answerCbQuery(text, { show_alert: true }).catch(()=>{});
+  if (ctx.message && ctx.chat?.type === 'private') return ctx.reply(text).catch(()=>{});
+}
+
 /* --------------------- bot wiring --------------------- */
-bot.use(session());
+bot.use(session({
+  store: sessionStore,
+  getSessionKey: (ctx) => (ctx.from && ctx.chat) ? `${ctx.chat.id}:${ctx.from.id}` : undefined,
+}));
 bot.use(async (ctx, next) => {
-  if (!isAdmin(ctx)) return;
+  ctx.state.role = await getUserRole(ctx.from?.id);
+  if (!ctx.state.role) {
+    return denyPolitely(ctx, `🔒 Sorry, you don't have access to this bot yet. Ask an owner to run /grant ${ctx.from?.id ?? '<your id>'} viewer.`);
+  }
+  const needed = requiredRoleFor(ctx);
+  if (!hasRole(ctx, needed)) {
+    return denyPolitely(ctx, `🔒 That needs the ${needed} role — you are a ${ctx.state.role}.`);
+  }
   if (!ctx.session) ctx.session = {};
 
   if (ctx.session.paused) {
@@ -961,14 +2304,380 @@ bot.start(async (ctx) => {
   await ctx.reply('Welcome! Please choose which table you want to work with:', kbChooseTable);
 });
 
+// Switches table without clearing the rest of the session (unlike /start).
+bot.command('table', async (ctx) => {
+  await ctx.reply(`Current table: ${ctx.session.table || 'none'}. Choose a table:`, kbChooseTable);
+});
+
+/* ---- catalog filters + paginated /list ---- */
+const LIST_PAGE_SIZE = Math.max(1, parseInt(process.env.LIST_PAGE_SIZE || '10', 10));
+
+// Parses filter tokens shared by /list and /export:
+//   active | inactive | category:IPTV | tag:netflix | price<500 | price>=100 | any other word = name search
+function parseCatalogFilters(tokens = []) {
+  const f = { active: null, category: null, tag: null, price: null, search: [] };
+  for (const tok of tokens) {
+    const price = tok.match(/^price(<=|>=|<|>|=)(\d+(?:\.\d+)?)$/i);
+    const [k, ...rest] = tok.split(':');
+    const v = rest.join(':');
+    if (/^active$/i.test(tok)) f.active = true;
+    else if (/^inactive$/i.test(tok)) f.active = false;
+    else if (price) f.price = { op: price[1], value: Number(price[2]) };
+    else if (/^category$/i.test(k) && v) f.category = v.replace(/_/g, ' ');
+    else if (/^tag$/i.test(k) && v) f.tag = v;
+    else if (tok) f.search.push(tok);
+  }
+  return f;
+}
+
+// User text inside an ilike pattern must not act as a wildcard: `50%` or `a_b` should match literally.
+const escapeLike = (v) => String(v).replace(/[\\%_]/g, '\\$&');
+
+function applyCatalogFilters(q, table, f = {}) {
+  q = f.trashed ? q.not('deleted_at', 'is', null) : q.is('deleted_at', null);
+  if (f.active !== null && f.active !== undefined) q = q.eq('is_active', f.active);
+  if (f.category && table === TABLES.products) q = q.ilike('category', escapeLike(f.category));
+  if (f.tag) q = q.contains('tags', [f.tag]);
+  if (f.price) {
+    const op = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte', '=': 'eq' }[f.price.op];
+    q = q[op]('price', f.price.value);
+  }
+  if (f.search?.length) q = q.ilike('name', `%${escapeLike(f.search.join(' '))}%`);
+  return q;
+}
+
+function describeCatalogFilters(f = {}) {
+  return [
+    f.active !== null && f.active !== undefined && (f.active ? 'active' : 'inactive'),
+    f.category && `category=${f.category}`,
+    f.tag && `tag=${f.tag}`,
+    f.price && `price${f.price.op}${f.price.value}`,
+    f.search?.length && `"${f.search.join(' ')}"`,
+  ].filter(Boolean).join(', ');
+}
+
+function productRowButtons(r) {
+  return [
+    Markup.button.callback(`✏️ ${r.id}`, `row_update_${r.id}`),
+    Markup.button.callback(`${r.is_active ? '⛔️' : '✅'} ${r.id}`, `row_toggle_${r.id}`),
+    Markup.button.callback(`🗑️ ${r.id}`, `row_delete_${r.id}`),
+  ];
+}
+
+async function renderListPage(ctx, page = 0) {
+  const table = ctx.session.table;
+  const filters = ctx.session.listView?.filters || {};
+  const from = page * LIST_PAGE_SIZE;
+  const q = applyCatalogFilters(supabase.from(table).select('*', { count: 'exact' }), table, filters)
+    .order('id', { ascending: false })
+    .range(from, from + LIST_PAGE_SIZE - 1);
+  const { data, error, count } = await q;
+  if (error) return ctx.reply(`DB error: ${error.message}`);
+  const items = data || [];
+  const pages = Math.max(1, Math.ceil((count || 0) / LIST_PAGE_SIZE));
+  ctx.session.listView = { filters, page };
+
+  const filterText = describeCatalogFilters(filters);
+  const header = `📄 ${table}${filterText ? ` (${filterText})` : ''} — page ${page + 1}/${pages}, ${count || 0} items`;
+  const body = items.length
+    ? items.map((r, i) => `${from + i + 1}. ${r.name} — ${formatPriceWithPeriod(r.price, r.currency, r.billingPeriod)} — ${r.is_active ? '✅' : '⛔️'} (id: ${r.id})`).join('\n')
+    : 'No items match.';
+
+  const rows = items.map(productRowButtons);
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback('⬅️ Prev', `list_page_${page - 1}`));
+  if (page + 1 < pages) nav.push(Markup.button.callback('Next ➡️', `list_page_${page + 1}`));
+  if (nav.length) rows.push(nav);
+
+  const text = `${header}\n\n${body}`;
+  const extra = Markup.inlineKeyboard(rows);
+  if (ctx.callbackQuery?.message) return ctx.editMessageText(text, extra).catch(() => ctx.reply(text, extra));
+  return ctx.reply(text, extra);
+}
+
 bot.command('list', async (ctx) => {
   if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
-  const { data, error } = await supabase.from(ctx.session.table).select('id,name,price,is_active').order('id', { ascending: false }).limit(12);
+  ctx.session.listView = { filters: parseCatalogFilters(ctx.message.text.trim().split(/\s+/).slice(1)), page: 0 };
+  await renderListPage(ctx, 0);
+});
+
+bot.action(/^list_page_(\d+)$/, async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await renderListPage(ctx, Number(ctx.match[1]));
+});
+
+bot.action(/^row_toggle_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.answerCbQuery();
+  const res = await toggleProductActive(ctx.session.table, ctx.match[1], actorOf(ctx));
+  await ctx.answerCbQuery(res.error || `id ${ctx.match[1]} is now ${res.active ? 'active' : 'inactive'}`);
+  if (!res.error && ctx.session.listView) await renderListPage(ctx, ctx.session.listView.page || 0);
+});
+
+bot.action(/^row_update_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await openProductForUpdate(ctx, ctx.match[1]);
+});
+
+/* ---- audit log + /history ---- */
+// Table: product_audit (id bigserial, admin_id bigint, admin_name text, table_name text, product_id text,
+//   action text, before jsonb, after jsonb, diff jsonb, created_at timestamptz default now())
+const AUDIT_TABLE = process.env.AUDIT_TABLE || 'product_audit';
+const AUDIT_IGNORED_KEYS = ['id', 'created_at', 'updated_at'];
+
+const actorOf = (ctx) => ({ id: ctx?.from?.id ?? null, name: [ctx?.from?.first_name, ctx?.from?.last_name].filter(Boolean).join(' ') || ctx?.from?.username || null });
+
+async function snapshotRow(table, id) {
+  const { data } = await supabase.from(table).select('*').eq('id', id).maybeSingle();
+  return data || null;
+}
+
+// { field: { from, to } } for every column whose JSON value changed.
+function diffRows(before = {}, after = {}) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    if (AUDIT_IGNORED_KEYS.includes(k)) continue;
+    const a = before?.[k] ?? null, b = after?.[k] ?? null;
+    if (JSON.stringify(a) !== JSON.stringify(b)) diff[k] = { from: a, to: b };
+  }
+  return diff;
+}
+
+// Never lets an audit failure block the mutation itself.
+async function writeAudit({ actor, table, productId, action, before = null, after = null }) {
+  try {
+    const { error } = await supabase.from(AUDIT_TABLE).insert([{
+      admin_id: actor?.id ?? null, admin_name: actor?.name ?? null, table_name: table, product_id: String(productId),
+      action, before, after, diff: diffRows(before, after), created_at: new Date().toISOString(),
+    }]);
+    if (error) throw error;
+  } catch (e) {
+    console.warn(`[audit] ${action} ${table}#${productId} not logged: ${e.message}`);
+  }
+}
+
+function summarizeDiff(diff = {}) {
+  const short = (v) => { const s = Array.isArray(v) ? v.join(', ') : String(v ?? '∅'); return s.length > 40 ? s.slice(0, 40) + '…' : s; };
+  const keys = Object.keys(diff);
+  if (!keys.length) return 'no changes';
+  return keys.slice(0, 4).map(k => `${k}: ${short(diff[k].from)} → ${short(diff[k].to)}`).join('; ') + (keys.length > 4 ? ` (+${keys.length - 4} more)` : '');
+}
+
+bot.command('history', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
+  const id = (ctx.message.text.split(/\s+/)[1] || '').trim();
+  if (!id) return ctx.reply('Usage: /history <id>');
+  const { data, error } = await supabase.from(AUDIT_TABLE).select('id,admin_id,admin_name,action,diff,before,created_at')
+    .eq('table_name', ctx.session.table).eq('product_id', id).order('created_at', { ascending: false }).limit(10);
   if (error) return ctx.reply(`DB error: ${error.message}`);
-  const items = data || [];
-  if (!items.length) return ctx.reply('No items yet.');
-  const msg = items.map((r, i) => `${i + 1}. ${r.name} — ₹${Number(r.price || 0).toLocaleString('en-IN')} — ${r.is_active ? '✅' : '⛔️'} (id: ${r.id})`).join('\n');
-  ctx.reply('Latest:\n' + msg);
+  if (!data?.length) return ctx.reply(`No history for id ${id}.`);
+  const msg = data.map(e => `#${e.id} ${String(e.created_at).replace('T', ' ').slice(0, 16)} — ${e.action} by ${e.admin_name || e.admin_id}\n   ${summarizeDiff(e.diff)}`).join('\n');
+  const rows = data.filter(e => e.before && e.action !== 'purge').map(e => [Markup.button.callback(`↩️ Roll back to before #${e.id}`, `rollback_${e.id}`)]);
+  await ctx.reply(`🕘 History for id ${id} (${ctx.session.table}):\n\n${msg}`, Markup.inlineKeyboard(rows));
+});
+
+bot.action(/^rollback_(\d+)$/, async (ctx) => {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  const { data: entry, error } = await supabase.from(AUDIT_TABLE).select('table_name,product_id,before').eq('id', ctx.match[1]).maybeSingle();
+  if (error || !entry?.before) return ctx.reply('❌ That version cannot be restored.');
+  const table = entry.table_name;
+  const current = await snapshotRow(table, entry.product_id);
+  if (!current) return ctx.reply('❌ Product no longer exists.');
+  const { id: _id, ...restore } = entry.before;
+  const { error: upErr } = await supabase.from(table).update(restore).eq('id', entry.product_id);
+  if (upErr) return ctx.reply(`❌ Rollback failed: ${upErr.message}`);
+  await writeAudit({ actor: actorOf(ctx), table, productId: entry.product_id, action: 'rollback', before: current, after: await snapshotRow(table, entry.product_id) });
+  await ctx.editMessageReplyMarkup(undefined).catch(()=>{});
+  await ctx.reply(`↩️ Rolled back id ${entry.product_id} to its state before change #${ctx.match[1]}.`);
+});
+
+/* ---- delete / trash / restore ---- */
+// Soft delete needs a nullable `deleted_at timestamptz` column on both product tables.
+const imageColumnFor = (table) => table === TABLES.products ? 'image' : 'image_url';
+
+async function softDeleteProduct(table, id, actor) {
+  const before = await snapshotRow(table, id);
+  const { data, error } = await supabase.from(table).update({ deleted_at: new Date().toISOString(), is_active: false }).eq('id', id).is('deleted_at', null).select('id,name');
+  if (error) return { error: error.message };
+  if (!data?.length) return { error: 'Not found (or already in trash).' };
+  await writeAudit({ actor, table, productId: id, action: 'delete', before, after: await snapshotRow(table, id) });
+  return { name: data[0].name };
+}
+
+async function restoreProduct(table, id, actor) {
+  const before = await snapshotRow(table, id);
+  const { data, error } = await supabase.from(table).update({ deleted_at: null }).eq('id', id).not('deleted_at', 'is', null).select('id,name');
+  if (error) return { error: error.message };
+  if (!data?.length) return { error: 'Not found in trash.' };
+  await writeAudit({ actor, table, productId: id, action: 'restore', before, after: await snapshotRow(table, id) });
+  return { name: data[0].name };
+}
+
+// Permanently removes the row and whichever of its gallery images live in our bucket.
+async function purgeProduct(table, id, actor) {
+  const imgCol = imageColumnFor(table);
+  const { data: row } = await supabase.from(table).select('*').eq('id', id).not('deleted_at', 'is', null).maybeSingle();
+  if (!row) return { error: 'Not found in trash. Use /delete first.' };
+  const { data: deleted, error: delErr } = await supabase.from(table).delete().eq('id', id).not('deleted_at', 'is', null).select('id');
+  if (delErr) return { error: delErr.message };
+  if (!deleted?.length) return { error: 'Not found in trash (restored meanwhile?).' };
+  await writeAudit({ actor, table, productId: id, action: 'purge', before: row, after: null });
+
+  const bucket = bucketForTable(table);
+  const keys = uniqMerge([row[imgCol]], Array.isArray(row.images) ? row.images : []).flatMap(u => imageVariantKeys(storageKeyFromPublicUrl(u, bucket)));
+  if (keys.length) {
+    const { error: rmErr } = await supabase.storage.from(bucket).remove(keys);
+    if (rmErr) console.warn(`[purge] could not remove ${bucket}/${keys.join(', ')}: ${rmErr.message}`);
+  }
+  return { name: row.name, removedImage: keys.length > 0 };
+}
+
+const kbConfirmDelete = (id) => Markup.inlineKeyboard([
+  [Markup.button.callback('🗑️ Yes, move to trash', `del_confirm_${id}`)],
+  [Markup.button.callback('❌ Keep it', 'del_cancel')],
+]);
+const kbConfirmPurge = (id) => Markup.inlineKeyboard([
+  [Markup.button.callback('🔥 Yes, delete forever', `purge_confirm_${id}`)],
+  [Markup.button.callback('❌ Keep it', 'del_cancel')],
+]);
+
+async function askDelete(ctx, id) {
+  const { data: row } = await supabase.from(ctx.session.table).select('id,name').eq('id', id).is('deleted_at', null).maybeSingle();
+  if (!row) return ctx.reply('Not found (or already in trash).');
+  await ctx.reply(`Move "${row.name}" (id: ${row.id}) to trash? You can /restore it later.`, kbConfirmDelete(row.id));
+}
+
+bot.command('delete', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
+  const id = (ctx.message.text.split(/\s+/)[1] || '').trim();
+  if (!id) return ctx.reply('Usage: /delete <id>');
+  await askDelete(ctx, id);
+});
+
+bot.action(/^row_delete_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await askDelete(ctx, ctx.match[1]);
+});
+
+bot.action(/^del_confirm_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  const res = await softDeleteProduct(ctx.session.table, ctx.match[1], actorOf(ctx));
+  await ctx.editMessageText(res.error ? `❌ ${res.error}` : `🗑️ "${res.name}" moved to trash. Use /restore ${ctx.match[1]} to undo.`).catch(()=>{});
+});
+
+bot.action('del_cancel', async (ctx) => {
+  await ctx.answerCbQuery('Kept');
+  await ctx.deleteMessage().catch(()=>{});
+});
+
+bot.command('trash', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
+  const { data, error } = await supabase.from(ctx.session.table).select('id,name,deleted_at').not('deleted_at', 'is', null).order('deleted_at', { ascending: false }).limit(20);
+  if (error) return ctx.reply(`DB error: ${error.message}`);
+  if (!data?.length) return ctx.reply('🗑️ Trash is empty.');
+  const msg = data.map((r, i) => `${i + 1}. ${r.name} (id: ${r.id}) — deleted ${String(r.deleted_at).slice(0, 10)}`).join('\n');
+  const rows = data.map(r => [
+    Markup.button.callback(`♻️ Restore ${r.id}`, `restore_${r.id}`),
+    Markup.button.callback(`🔥 Purge ${r.id}`, `purge_ask_${r.id}`),
+  ]);
+  await ctx.reply(`🗑️ Trash (${ctx.session.table}):\n\n${msg}`, Markup.inlineKeyboard(rows));
+});
+
+bot.command('restore', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
+  const id = (ctx.message.text.split(/\s+/)[1] || '').trim();
+  if (!id) return ctx.reply('Usage: /restore <id>');
+  const res = await restoreProduct(ctx.session.table, id, actorOf(ctx));
+  await ctx.reply(res.error ? `❌ ${res.error}` : `♻️ Restored "${res.name}" (inactive — use /toggle ${id} to publish).`);
+});
+
+bot.action(/^restore_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.answerCbQuery();
+  const res = await restoreProduct(ctx.session.table, ctx.match[1], actorOf(ctx));
+  await ctx.answerCbQuery(res.error || `Restored "${res.name}"`);
+});
+
+bot.command('purge', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
+  const id = (ctx.message.text.split(/\s+/)[1] || '').trim();
+  if (!id) return ctx.reply('Usage: /purge <id>');
+  await ctx.reply(`Permanently delete id ${id} and its image? This cannot be undone.`, kbConfirmPurge(id));
+});
+
+bot.action(/^purge_ask_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await ctx.reply(`Permanently delete id ${ctx.match[1]} and its image? This cannot be undone.`, kbConfirmPurge(ctx.match[1]));
+});
+
+bot.action(/^purge_confirm_(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  const res = await purgeProduct(ctx.session.table, ctx.match[1], actorOf(ctx));
+  await ctx.editMessageText(res.error ? `❌ ${res.error}` : `🔥 "${res.name}" deleted forever${res.removedImage ? ' (image removed from storage)' : ''}.`).catch(()=>{});
+});
+
+/* ---- fuzzy search (/find) ---- */
+const FIND_SCAN_LIMIT = Math.max(100, parseInt(process.env.FIND_SCAN_LIMIT || '2000', 10));
+const FIND_MAX_RESULTS = 8;
+const FIND_FIELD_WEIGHTS = { name: 3, plan: 2, tags: 2, description: 1 };
+
+const searchTokens = (s = '') => String(s).toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 1);
+
+// 1 for a substring hit, otherwise 0..1 by edit distance against the closest word.
+function tokenSimilarity(q, words) {
+  let best = 0;
+  for (const w of words) {
+    if (w.includes(q)) return 1;
+    const d = levenshtein(q, w.slice(0, q.length + 2));
+    best = Math.max(best, 1 - d / Math.max(q.length, 1));
+  }
+  return best >= 0.6 ? best : 0;
+}
+
+function scoreProductMatch(row, query) {
+  const qTokens = searchTokens(query);
+  if (!qTokens.length) return 0;
+  const fields = {
+    name: searchTokens(row.name), plan: searchTokens(row.plan),
+    tags: searchTokens(Array.isArray(row.tags) ? row.tags.join(' ') : row.tags), description: searchTokens(row.description),
+  };
+  let score = 0;
+  for (const q of qTokens) {
+    score += Math.max(...Object.entries(FIND_FIELD_WEIGHTS).map(([f, w]) => w * tokenSimilarity(q, fields[f])));
+  }
+  const phrase = String(query).toLowerCase().trim();
+  if (String(row.name || '').toLowerCase().includes(phrase)) score += 2;
+  return score / (qTokens.length * FIND_FIELD_WEIGHTS.name);
+}
+
+async function findProducts(table, query) {
+  const { data, error } = await supabase.from(table).select('*').is('deleted_at', null).order('id', { ascending: false }).limit(FIND_SCAN_LIMIT);
+  if (error) throw error;
+  return (data || [])
+    .map(r => ({ ...r, score: scoreProductMatch(r, query) }))
+    .filter(r => r.score >= 0.2)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, FIND_MAX_RESULTS);
+}
+
+bot.command('find', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
+  const query = ctx.message.text.split(/\s+/).slice(1).join(' ').trim();
+  if (!query) return ctx.reply('Usage: /find <query>');
+  try {
+    const hits = await findProducts(ctx.session.table, query);
+    if (!hits.length) return ctx.reply(`No matches for "${query}".`);
+    const msg = hits.map((r, i) => `${i + 1}. ${r.name}${ok(r.plan) && r.plan !== 'unknown' ? ` (${r.plan})` : ''} — ${formatPriceWithPeriod(r.price, r.currency, r.billingPeriod)} — ${r.is_active ? '✅' : '⛔️'} (id: ${r.id})`).join('\n');
+    await ctx.reply(`🔎 Results for "${query}":\n\n${msg}`, Markup.inlineKeyboard(hits.map(productRowButtons)));
+  } catch (e) {
+    await ctx.reply(`DB error: ${e.message}`);
+  }
 });
 
 bot.command('smartadd', (ctx) => {
@@ -978,15 +2687,24 @@ bot.command('smartadd', (ctx) => {
   ctx.reply('Send the product text (can be messy). You may also attach a photo or include a URL.');
 });
 
+// Trashed rows stay inactive until restored.
+async function toggleProductActive(table, id, actor) {
+  const { data } = await supabase.from(table).select('*').eq('id', id).is('deleted_at', null).maybeSingle();
+  if (!data) return { error: 'Not found (or in trash — /restore it first).' };
+  const { data: updated, error: upErr } = await supabase.from(table).update({ is_active: !data.is_active }).eq('id', id).is('deleted_at', null).select('id');
+  if (upErr) return { error: `❌ Toggle failed: ${upErr.message}` };
+  if (!updated?.length) return { error: 'Not found (or in trash — /restore it first).' };
+  await writeAudit({ actor, table, productId: id, action: 'toggle', before: data, after: { ...data, is_active: !data.is_active } });
+  return { active: !data.is_active };
+}
+
 bot.command('toggle', async (ctx) => {
   if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
   const id = (ctx.message.text.split(' ')[1] || '').trim();
   if (!id) return ctx.reply('Usage: /toggle <id>');
-  const { data, error } = await supabase.from(ctx.session.table).select('is_active').eq('id', id).maybeSingle();
-  if (error || !data) return ctx.reply('Not found.');
-  const { error: upErr } = await supabase.from(ctx.session.table).update({ is_active: !data.is_active }).eq('id', id);
-  if (upErr) return ctx.reply(`❌ Toggle failed: ${upErr.message}`);
-  ctx.reply(`Toggled id ${id} to ${!data.is_active ? '✅ active' : '⛔️ inactive'}.`);
+  const res = await toggleProductActive(ctx.session.table, id, actorOf(ctx));
+  if (res.error) return ctx.reply(res.error);
+  ctx.reply(`Toggled id ${id} to ${res.active ? '✅ active' : '⛔️ inactive'}.`);
 });
 
 bot.action(/^set_table_(.+)$/, async (ctx) => {
@@ -1034,6 +2752,8 @@ function generateEditForm(reviewData) {
         `Plan: ${prod.plan || ''}`,
         `Validity: ${prod.validity || ''}`,
         `Price: ${prod.price || ''}`,
+        `Currency: ${prod.currency || DEFAULT_CURRENCY}`,
+        `Billing: ${prod.billingPeriod || ''}`,
         `Description: ${prod.description || ai.description || ''}`,
         `Tags: ${(uniqMerge(prod.tags, ai.tags)).join(', ')}`,
         `Features: ${(ai.features || []).join('; ')}`
@@ -1047,45 +2767,322 @@ function generateEditForm(reviewData) {
     return lines.join('\n');
 }
 
+/* ---- field-by-field editor ---- */
+// kind drives the prompt and validation: text | price | int | currency | billing | category | subcategory | list
+const EDIT_FIELDS = [
+  { key: 'name', label: 'Name', kind: 'text' },
+  { key: 'plan', label: 'Plan', kind: 'text' },
+  { key: 'validity', label: 'Validity', kind: 'text' },
+  { key: 'price', label: 'Price', kind: 'price' },
+  { key: 'originalprice', label: 'Original price', kind: 'price' },
+  { key: 'currency', label: 'Currency', kind: 'currency' },
+  { key: 'billing', label: 'Billing', kind: 'billing' },
+  { key: 'description', label: 'Description', kind: 'text' },
+  { key: 'tags', label: 'Tags', kind: 'list' },
+  { key: 'features', label: 'Features', kind: 'list' },
+  { key: 'stock', label: 'Stock', kind: 'int', productsOnly: true },
+  { key: 'category', label: 'Category', kind: 'category', productsOnly: true },
+  { key: 'subcategory', label: 'Subcategory', kind: 'subcategory', productsOnly: true },
+];
+const EDIT_KEY_ALIASES = { billingperiod: 'billing', mrp: 'originalprice', originalprice: 'originalprice', tag: 'tags', feature: 'features' };
+const EDIT_HINTS = {
+  price: 'e.g. 499, ₹499/month, $9.99/yr or "399 (was 599)". Send - to clear.',
+  int: 'A whole number, e.g. 25. Send - to clear.',
+  currency: 'An ISO code or symbol, e.g. INR, USD, ₹, $.',
+  billing: 'month, year, week, day or lifetime. Send - to clear.',
+  text: 'Send - to clear.',
+  subcategory: 'Free text (this category has no fixed list). Send - to clear.',
+};
+
+const editFieldsFor = (table) => EDIT_FIELDS.filter(f => !f.productsOnly || table === TABLES.products);
+const listItems = (review, key) => key === 'tags' ? uniqMerge(review.prod.tags, review.ai.tags) : [...(review.ai.features || [])];
+const splitListInput = (key, text) => text.split(key === 'tags' ? /[\n,]+/ : /[\n;]+/).map(s => s.trim()).filter(Boolean);
+
+function fieldValue(review, key) {
+  const { prod, ai } = review;
+  switch (key) {
+    case 'price': return ok(prod.price) ? formatPriceWithPeriod(prod.price, prod.currency, prod.billingPeriod) : '';
+    case 'originalprice': return ok(prod.originalPrice) ? formatPrice(prod.originalPrice, prod.currency) : '';
+    case 'currency': return prod.currency || DEFAULT_CURRENCY;
+    case 'billing': return prod.billingPeriod || '';
+    case 'tags': case 'features': return listItems(review, key);
+    case 'category': case 'subcategory': return prod[key] || ai[key] || '';
+    default: return prod[key] ?? ai[key] ?? '';
+  }
+}
+
+function shortValue(v, n = 18) {
+  const s = Array.isArray(v) ? `${v.length} item${v.length === 1 ? '' : 's'}` : (ok(v) && v !== 'unknown' ? String(v) : '—');
+  return s.length > n ? s.slice(0, n - 1) + '…' : s;
+}
+
+// Returns an error message, or null once the value is applied. Shared by the inline editor and the pasted form.
+function applyFieldEdit(review, key, val) {
+  const { prod, ai, table } = review;
+  const field = EDIT_FIELDS.find(f => f.key === key);
+  if (!field) return `Unknown field "${key}" — ignored.`;
+  if (field.productsOnly && table !== TABLES.products) return `${field.label} only applies to the products table.`;
+  switch (key) {
+    case 'name':
+      if (!val) return 'Name cannot be empty.';
+      prod.name = val; return null;
+    case 'plan': case 'validity':
+      prod[key] = val; return null;
+    case 'description':
+      prod.description = val; if (ai.sources) ai.sources.description = []; return null;
+    case 'price': {
+      const info = parsePriceInfo(val);
+      if (val && info.price === null) return `"${val}" is not a price.`;
+      prod.price = info.price;
+      if (info.currency) prod.currency = info.currency;
+      if (info.billingPeriod) prod.billingPeriod = info.billingPeriod;
+      if (info.originalPrice !== null) prod.originalPrice = info.originalPrice;
+      return null;
+    }
+    case 'originalprice': {
+      const price = parsePriceInfo(val).price;
+      if (val && price === null) return `"${val}" is not a price.`;
+      prod.originalPrice = price; return null;
+    }
+    case 'currency': {
+      const code = currencyCode(val) || (/^[a-z]{3}$/i.test(val) ? val.toUpperCase() : null);
+      if (!code) return `"${val}" is not a currency — use a code like INR or USD.`;
+      prod.currency = code; return null;
+    }
+    case 'billing': {
+      const period = val ? (periodName(val) || (/^(lifetime|one[-\s]?time)$/i.test(val) ? 'lifetime' : null)) : null;
+      if (val && !period) return `"${val}" is not a billing period — use month, year, week, day or lifetime.`;
+      prod.billingPeriod = period; return null;
+    }
+    case 'stock': {
+      if (val && !/^\d+$/.test(val.replace(/[,\s]/g, ''))) return `"${val}" is not a whole number.`;
+      prod.stock = val ? parseInt(val.replace(/[,\s]/g, ''), 10) : null; return null;
+    }
+    case 'tags':
+      prod.tags = splitListInput('tags', val); ai.tags = []; return null;
+    case 'features':
+      ai.features = splitListInput('features', val); if (ai.sources) ai.sources.features = []; return null;
+    case 'category': {
+      const cat = findCategory(val);
+      if (!cat) return `Unknown category "${val}". Choose one of: ${categoryNames().join(', ')}.`;
+      const sub = prod.subcategory || ai.subcategory;
+      prod.category = ai.category = cat.name;
+      if (cat.subcategories.length && !findSubcategory(cat.name, sub)) prod.subcategory = ai.subcategory = 'unknown';
+      return null;
+    }
+    case 'subcategory': {
+      const category = prod.category || ai.category;
+      const subs = findCategory(category)?.subcategories || [];
+      const sub = !val || /^unknown$/i.test(val) ? 'unknown' : (subs.length ? findSubcategory(category, val) : val);
+      if (!sub) return `"${val}" is not a subcategory of ${category} (${subs.join(', ')}).`;
+      prod.subcategory = ai.subcategory = sub; return null;
+    }
+  }
+  return null;
+}
+
+function kbEditFields(review) {
+  const buttons = editFieldsFor(review.table).map(f => Markup.button.callback(`${f.label}: ${shortValue(fieldValue(review, f.key))}`, `ef_f_${f.key}`));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([Markup.button.callback('📋 Paste full form', 'ef_form'), Markup.button.callback('✅ Back to review', 'ef_done')]);
+  return Markup.inlineKeyboard(rows);
+}
+const kbEditBack = Markup.inlineKeyboard([[Markup.button.callback('⬅️ Back to fields', 'ef_menu')]]);
+
+// Edits the tapped message when there is one, so the editor doesn't leave a trail of menus behind.
+async function replaceOrReply(ctx, text, extra) {
+  if (ctx.callbackQuery?.message) {
+    try { return await ctx.editMessageText(text, extra); } catch (e) { if (/not modified/i.test(e.message)) return; }
+    await ctx.deleteMessage().catch(()=>{});
+  }
+  return ctx.reply(text, extra);
+}
+
+async function showEditMenu(ctx) {
+  ctx.session.await = null;
+  ctx.session.editField = null;
+  await replaceOrReply(ctx, '✏️ Tap a field to change it:', kbEditFields(ctx.session.review));
+}
+
+async function showListEditor(ctx, key) {
+  const items = listItems(ctx.session.review, key);
+  const label = key === 'tags' ? 'Tags' : 'Features';
+  const text = items.length
+    ? `${label} — tap ❌ n to remove an item:\n\n${items.map((t, i) => `${i + 1}. ${t}`).join('\n')}`
+    : `${label}: none yet.`;
+  const removes = items.map((_, i) => Markup.button.callback(`❌ ${i + 1}`, `ef_rm_${key}_${i}`));
+  const rows = [];
+  for (let i = 0; i < removes.length; i += 5) rows.push(removes.slice(i, i + 5));
+  rows.push([Markup.button.callback('➕ Add', `ef_add_${key}`), Markup.button.callback('⬅️ Back to fields', 'ef_menu')]);
+  await replaceOrReply(ctx, text, Markup.inlineKeyboard(rows));
+}
+
+async function showChoicePicker(ctx, key) {
+  await loadCategoryTree();
+  const { prod, ai } = ctx.session.review;
+  const category = prod.category || ai.category;
+  const choices = key === 'category' ? categoryNames() : (findCategory(category)?.subcategories || []);
+  ctx.session.editChoices = choices;
+  const buttons = choices.map((name, i) => Markup.button.callback(name, `ef_pick_${i}`));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  if (key === 'subcategory') rows.push([Markup.button.callback('— unknown —', 'ef_pick_none')]);
+  rows.push([Markup.button.callback('⬅️ Back to fields', 'ef_menu')]);
+  ctx.session.editField = key;
+  await replaceOrReply(ctx, key === 'category' ? 'Choose a category:' : `Choose a subcategory of ${category}:`, Markup.inlineKeyboard(rows));
+}
+
+async function promptForField(ctx, field) {
+  ctx.session.await = 'edit_field';
+  ctx.session.editField = field.key;
+  const current = fieldValue(ctx.session.review, field.key);
+  await replaceOrReply(ctx, `Send the new ${field.label}.\nCurrent: ${ok(current) ? current : '—'}\n\n${EDIT_HINTS[field.kind] || EDIT_HINTS.text}`, kbEditBack);
+}
+
+// Plain-text reply while a single field (or a list addition) is awaited.
+async function applyFieldText(ctx, text) {
+  const review = ctx.session.review;
+  const key = ctx.session.editField;
+  if (!review || !key) { ctx.session.await = null; return; }
+  const val = text.trim() === '-' ? '' : text.trim();
+
+  if (ctx.session.await === 'edit_list_add') {
+    const added = splitListInput(key, val);
+    if (!added.length) return ctx.reply('⚠️ Nothing to add — send one item per line.', kbEditBack);
+    if (key === 'tags') { review.prod.tags = uniqMerge(listItems(review, 'tags'), added); review.ai.tags = []; }
+    else {
+      review.ai.features = [...(review.ai.features || []), ...added];
+      if (review.ai.sources?.features) review.ai.sources.features.push(...added.map(() => []));
+    }
+    ctx.session.await = null;
+    return showListEditor(ctx, key);
+  }
+
+  if (review.table === TABLES.products) await loadCategoryTree();
+  const error = applyFieldEdit(review, key, val);
+  if (error) return ctx.reply(`⚠️ ${error}\nSend another value, or go back.`, kbEditBack);
+  ctx.session.await = null;
+  ctx.session.editField = null;
+  await presentReview(ctx);
+}
+
 bot.action('edit_text', async (ctx) => {
   if (!ctx.session.review) return ctx.answerCbQuery();
   await ctx.answerCbQuery();
+  // The review card is a photo; replace it with a text menu rather than editing its caption.
   await ctx.deleteMessage().catch(()=>{});
-  const formText = generateEditForm(ctx.session.review);
-  await ctx.replyWithHTML(
-    'Copy the text below, edit the values, and then send the entire message back.\n\n' +
-    '<b>Tips:</b>\n' +
-    '- <b>Tags</b> are comma-separated (<code>,</code>).\n' +
-    '- <b>Features</b> are semicolon-separated (<code>;</code>).\n\n' +
-    `<code>${formText.replace(/</g, '<').replace(/>/g, '>')}</code>`
-  );
-  ctx.session.await = 'edit_all';
+  ctx.session.await = null;
+  await ctx.reply('✏️ Tap a field to change it:', kbEditFields(ctx.session.review));
 });
 
-bot.action('change_image', async (ctx) => {
+bot.action('ef_menu', async (ctx) => {
   if (!ctx.session.review) return ctx.answerCbQuery();
   await ctx.answerCbQuery();
-  ctx.session.await = 'image_choice';
-  await ctx.deleteMessage().catch(()=>{});
-  await ctx.reply('Pick a generator, or send a new image URL / upload a photo:', kbImageAPIs);
+  await showEditMenu(ctx);
 });
 
-function setTextOrder(ctx, order) {
-  ctx.session.textOrder = order;
+bot.action('ef_done', async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
   ctx.session.await = null;
-  ctx.answerCbQuery().catch(()=>{});
-  ctx.deleteMessage().catch(()=>{});
+  ctx.session.editField = null;
+  await presentReview(ctx);
+});
 
-  if (ctx.session.pendingSmart) {
-    return resumeSmartAddAfterTextChoice(ctx);
+bot.action(/^ef_f_([a-z]+)$/, async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  const field = editFieldsFor(ctx.session.review.table).find(f => f.key === ctx.match[1]);
+  if (!field) return ctx.answerCbQuery('Not editable here.');
+  await ctx.answerCbQuery();
+  if (field.kind === 'list') return showListEditor(ctx, field.key);
+  if (field.kind === 'category') return showChoicePicker(ctx, 'category');
+  if (field.kind === 'subcategory') {
+    await loadCategoryTree();
+    const { prod, ai } = ctx.session.review;
+    if (findCategory(prod.category || ai.category)?.subcategories.length) return showChoicePicker(ctx, 'subcategory');
   }
-  return ctx.reply('✅ Text provider set.');
-}
+  await promptForField(ctx, field);
+});
+
+bot.action(/^ef_pick_(\d+|none)$/, async (ctx) => {
+  const key = ctx.session.editField;
+  if (!ctx.session.review || !['category', 'subcategory'].includes(key)) return ctx.answerCbQuery();
+  const value = ctx.match[1] === 'none' ? 'unknown' : ctx.session.editChoices?.[Number(ctx.match[1])];
+  if (!value) return ctx.answerCbQuery('That list is out of date — pick again.');
+  await loadCategoryTree();
+  const error = applyFieldEdit(ctx.session.review, key, value);
+  if (error) return ctx.answerCbQuery(error, { show_alert: true });
+  await ctx.answerCbQuery();
+  ctx.session.editField = null;
+  ctx.session.editChoices = null;
+  await presentReview(ctx);
+});
+
+bot.action(/^ef_rm_(tags|features)_(\d+)$/, async (ctx) => {
+  const review = ctx.session.review;
+  if (!review) return ctx.answerCbQuery();
+  const [, key, raw] = ctx.match;
+  const i = Number(raw);
+  const items = listItems(review, key);
+  if (i >= items.length) return ctx.answerCbQuery('Already removed.');
+  await ctx.answerCbQuery(`Removed: ${items[i].slice(0, 60)}`);
+  if (key === 'tags') { review.prod.tags = items.filter((_, j) => j !== i); review.ai.tags = []; }
+  else {
+    review.ai.features.splice(i, 1);
+    review.ai.sources?.features?.splice(i, 1);
+  }
+  await showListEditor(ctx, key);
+});
+
+bot.action(/^ef_add_(tags|features)$/, async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  ctx.session.await = 'edit_list_add';
+  ctx.session.editField = ctx.match[1];
+  await replaceOrReply(ctx, `Send the ${ctx.match[1] === 'tags' ? 'tags to add (comma or one per line)' : 'features to add (one per line)'}.`, kbEditBack);
+});
+
+// The original copy/paste form, still handy on desktop for changing many fields at once.
+bot.action('ef_form', async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(()=>{});
+  const formText = generateEditForm(ctx.session.review);
+  const isProducts = ctx.session.review.table === TABLES.products;
+  if (isProducts) await loadCategoryTree();
+  await ctx.replyWithHTML(
+    'Copy the text below, edit the values, and then send the entire message back.\n\n' +
+    '<b>Tips:</b>\n' +
+    '- <b>Tags</b> are comma-separated (<code>,</code>).\n' +
+    '- <b>Features</b> are semicolon-separated (<code>;</code>).\n' +
+    (isProducts ? `- <b>Category</b> / <b>Subcategory</b> come from /categories:\n${describeCategoryTree({ bullets: true }).replace(/</g, '&lt;').replace(/>/g, '&gt;')}\n` : '') + '\n' +
+    `<code>${formText.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</code>`
+  );
+  ctx.session.await = 'edit_all';
+});
+
+bot.action('change_image', async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  ctx.session.await = 'image_choice';
+  await ctx.deleteMessage().catch(()=>{});
+  await ctx.reply(`Pick a generator, or send an image URL / upload photos — new images are added to the gallery.\n\n${imagePromptLine(ctx.session.review.prod)}`, kbImageAPIs(ctx.session.bannerTemplate, ctx.session.imageMode));
+});
+
+function setTextOrder(ctx, order) {
+  ctx.session.textOrder = order;
+  ctx.session.await = null;
+  ctx.answerCbQuery().catch(()=>{});
+  ctx.deleteMessage().catch(()=>{});
+
+  if (ctx.session.pendingSmart) {
+    return resumeSmartAddAfterTextChoice(ctx);
+  }
+  return ctx.reply('✅ Text provider set.');
+}
 
-bot.action('txtapi_pollinations', (ctx)=>setTextOrder(ctx, ['pollinations','groq','gemini']));
-bot.action('txtapi_groq',         (ctx)=>setTextOrder(ctx, ['groq','gemini','pollinations']));
-bot.action('txtapi_gemini',       (ctx)=>setTextOrder(ctx, ['gemini','groq','pollinations']));
-bot.action('txtapi_auto',         (ctx)=>setTextOrder(ctx, ['groq','gemini','pollinations']));
+bot.action('txtapi_auto', (ctx)=>setTextOrder(ctx, defaultTextProviderOrder()));
 bot.action('txtapi_cancel', async (ctx)=>{
   await ctx.answerCbQuery();
   await ctx.deleteMessage().catch(()=>{});
@@ -1094,6 +3091,7 @@ bot.action('txtapi_cancel', async (ctx)=>{
   await ctx.reply('Product addition cancelled.');
   await ctx.reply('What would you like to do next?', kbAfterTask);
 });
+bot.action(/^txtapi_(.+)$/, (ctx) => TEXT_PROVIDERS.has(ctx.match[1]) ? setTextOrder(ctx, textOrderStartingWith(ctx.match[1])) : ctx.answerCbQuery('Unknown provider'));
 
 const smartAddHandler = async (ctx) => {
   if (!ctx.session.table) { await ctx.reply('Please choose a table first.', kbChooseTable); return; }
@@ -1114,8 +3112,11 @@ const smartAddHandler = async (ctx) => {
     const guessedName = text.split('\n')[0].trim();
     
     await editStatus('🔎 Searching the web for product info...');
-    let domain = urlMatch || resolveBrandDomain(guessedName);
-    if (!urlMatch && !domain) {
+    await loadBrandRegistry();
+    let domain = urlMatch || findBrand(guessedName)?.domain || null;
+    // Only a host the admin pasted or the search picked is worth learning, never the `${slug}.com` guess below.
+    let learnHost = urlMatch ? hostOf(urlMatch) : null;
+    if (!domain) {
       try {
         const bestHost = await (async function pickOfficialDomainFromSearch(brandName){
           const urls = new Set();
@@ -1132,21 +3133,23 @@ const smartAddHandler = async (ctx) => {
           }
           return bestScore <= 3 ? best : null;
         })(guessedName);
-        if (bestHost) domain = `https://${bestHost}`;
+        if (bestHost) { domain = `https://${bestHost}`; learnHost = bestHost; }
       } catch {}
     }
+    if (!domain) domain = resolveBrandDomain(guessedName);
 
     let websiteContent = '', ogImageFromPage = null;
     if (domain) {
       const { html, text: pageText } = await fetchWebsiteRaw(domain.startsWith('http') ? domain : `https://${domain}`);
       websiteContent = pageText;
       if (html) ogImageFromPage = extractMetaTags(html).ogImage || null;
+      if (learnHost && pageText) await learnBrand(guessedName, { domain: learnHost });
     }
 
     if (!ctx.session.textOrder) {
       ctx.session.await = 'choose_text_api';
       ctx.session.pendingSmart = { text, websiteContent, ogImageFromPage };
-      await ctx.reply('Choose which **text model** to fill product details (I’ll retry and fallback automatically):', kbTextAPIs);
+      await ctx.reply('Choose which **text model** to fill product details (I’ll retry and fallback automatically):', kbTextAPIs());
       await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id).catch(()=>{});
       return;
     }
@@ -1154,10 +3157,12 @@ const smartAddHandler = async (ctx) => {
     const aiData = await enrichWithAI(text, websiteContent, ctx.session.textOrder, editStatus);
 
     const prod = { ...aiData, image: null };
+    setReviewImages(prod, ctx.session.pendingImages || []);
+    ctx.session.pendingImages = null;
     ctx.session.review = { prod, ai: aiData, table: ctx.session.table, ogImageFromPage };
     ctx.session.mode = null;
 
-    const msg = `📝 *Parsed (Review & Edit)*\n\n*Name:* ${escapeMd(aiData.name)}\n*Plan:* ${escapeMd(aiData.plan)}\n*Validity:* ${escapeMd(aiData.validity)}\n*Price:* ${escapeMd(aiData.price ?? '-')}\n*Category:* ${escapeMd(aiData.category)}\n\nTap *Generate Image* when the text looks good.`;
+    const msg = `📝 *Parsed (Review & Edit)*\n\n*Name:* ${escapeMd(aiData.name)}\n*Plan:* ${escapeMd(aiData.plan)}\n*Validity:* ${escapeMd(aiData.validity)}\n*Price:* ${escapeMd(formatPriceWithPeriod(aiData.price, aiData.currency, aiData.billingPeriod))}\n*Category:* ${escapeMd(aiData.category)}\n\nTap *Generate Image* when the text looks good.`;
     await replyMD(ctx, msg, kbBeforeImage);
 
   } catch (e) {
@@ -1185,10 +3190,12 @@ async function resumeSmartAddAfterTextChoice(ctx) {
   try {
     const aiData = await enrichWithAI(text, websiteContent, ctx.session.textOrder, editStatus);
     const prod = { ...aiData, image: null };
+    setReviewImages(prod, ctx.session.pendingImages || []);
+    ctx.session.pendingImages = null;
     ctx.session.review = { prod, ai: aiData, table: ctx.session.table, ogImageFromPage };
     ctx.session.mode = null;
 
-    const msg = `📝 *Parsed (Review & Edit)*\n\n*Name:* ${escapeMd(aiData.name)}\n*Plan:* ${escapeMd(aiData.plan)}\n*Validity:* ${escapeMd(aiData.validity)}\n*Price:* ${escapeMd(aiData.price ?? '-')}\n*Category:* ${escapeMd(aiData.category)}\n\nTap *Generate Image* when the text looks good.`;
+    const msg = `📝 *Parsed (Review & Edit)*\n\n*Name:* ${escapeMd(aiData.name)}\n*Plan:* ${escapeMd(aiData.plan)}\n*Validity:* ${escapeMd(aiData.validity)}\n*Price:* ${escapeMd(formatPriceWithPeriod(aiData.price, aiData.currency, aiData.billingPeriod))}\n*Category:* ${escapeMd(aiData.category)}\n\nTap *Generate Image* when the text looks good.`;
     await replyMD(ctx, msg, kbBeforeImage);
   } catch (e) {
       console.error('Smart add resume flow failed:', e);
@@ -1198,27 +3205,159 @@ async function resumeSmartAddAfterTextChoice(ctx) {
   }
 }
 
+/* ---- image gallery ---- */
+// Both tables take an optional `images text[]` column, cover first. The old image / image_url column always
+// mirrors the cover, so rows written before galleries existed (and readers that only know that column) keep working.
+const GALLERY_MAX = 10; // a Telegram media group holds at most 10 photos
+const ALBUM_SETTLE_MS = 1500;
+const ALBUM_WAIT_MS = 15000; // how long the newest album part waits for slower parts to finish rehosting
+
+// Album parts can land on different serverless instances, so they are tracked in the session store under
+// `album:<chat>:<media_group_id>`: `ids` lists parts as they arrive, `hosted` their { id, url } once rehosted.
+// Both lists only grow, so writes from two instances merge by union (see mergeLists).
+const albumStore = sessionStore || new Map();
+const albumLocks = new Map(); // serialises this process's read-modify-write of one record; other instances merge
+
+function withAlbumLock(key, fn) {
+  const run = (albumLocks.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  albumLocks.set(key, tail);
+  tail.then(() => { if (albumLocks.get(key) === tail) albumLocks.delete(key); });
+  return run;
+}
+
+const readAlbum = (key) => withAlbumLock(key, async () => (await albumStore.get(key)) || {});
+const appendToAlbum = (key, list, item) => withAlbumLock(key, async () => {
+  const rec = (await albumStore.get(key)) || {};
+  await albumStore.set(key, { ...rec, [list]: [...(rec[list] || []), item] });
+});
+
+// Resolves to the album's hosted URLs in send order for its newest part, and to null for every other part.
+async function settleAlbum(key, partId) {
+  await sleep(ALBUM_SETTLE_MS);
+  const until = Date.now() + ALBUM_WAIT_MS;
+  for (;;) {
+    const { ids = [], hosted = [] } = await readAlbum(key);
+    if (Math.max(...ids) !== partId) return null;
+    const done = new Set(hosted.map(h => h.id));
+    if (ids.every(id => done.has(id)) || Date.now() >= until) {
+      await albumStore.delete(key);
+      return hosted.filter(h => h.url).sort((a, b) => a.id - b.id).map(h => h.url);
+    }
+    await sleep(500);
+  }
+}
+
+// prod.image wins as cover, so code that only knows the single-image field still behaves.
+const reviewImages = (prod = {}) => uniqMerge(prod.image ? [prod.image] : [], prod.images || []);
+
+function setReviewImages(prod, list) {
+  prod.images = uniqMerge(list).slice(0, GALLERY_MAX);
+  prod.image = prod.images[0] || null;
+}
+
+// false when the gallery is already full.
+function addReviewImage(prod, url) {
+  const images = reviewImages(prod);
+  if (!url || images.includes(url)) return true;
+  if (images.length >= GALLERY_MAX) return false;
+  setReviewImages(prod, [...images, url]);
+  return true;
+}
+
+function imageLabel(url) {
+  const last = String(url).split('?')[0].split('/').pop() || url;
+  try { return decodeURIComponent(last).slice(0, 60); } catch { return last.slice(0, 60); }
+}
+
+function galleryText(prod) {
+  const images = reviewImages(prod);
+  if (!images.length) return '🖼️ No images yet. Generate one, send a URL, or upload photos (albums work too).';
+  return `🖼️ Gallery (${images.length}/${GALLERY_MAX}) — #1 is the cover:\n\n${images.map((u, i) => `${i + 1}. ${imageLabel(u)}`).join('\n')}`;
+}
+
+function kbGallery(prod) {
+  const rows = reviewImages(prod).map((_, i) => [
+    Markup.button.callback(i === 0 ? '⭐ #1 cover' : `#${i + 1} → cover`, `gal_cover_${i}`),
+    Markup.button.callback('⬆️', `gal_up_${i}`),
+    Markup.button.callback('⬇️', `gal_down_${i}`),
+    Markup.button.callback('❌', `gal_rm_${i}`),
+  ]);
+  rows.push([Markup.button.callback('➕ Add image', 'change_image'), Markup.button.callback('✅ Back to review', 'gal_done')]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// Old previews go away on every re-render so the chat shows one gallery at a time.
+async function sendGalleryPreview(ctx, images) {
+  for (const id of ctx.session.galleryMsgIds || []) await ctx.telegram.deleteMessage(ctx.chat.id, id).catch(()=>{});
+  ctx.session.galleryMsgIds = null;
+  if (images.length < 2) return;
+  try {
+    const sent = await ctx.replyWithMediaGroup(images.map((url, i) => ({ type: 'photo', media: url, caption: i === 0 ? '⭐ Cover' : `#${i + 1}` })));
+    ctx.session.galleryMsgIds = sent.map(m => m.message_id);
+  } catch (e) {
+    console.warn('[gallery] media group failed:', e.message);
+  }
+}
+
+bot.action('gal_open', async (ctx) => {
+  const prod = ctx.session.review?.prod;
+  if (!prod) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await replaceOrReply(ctx, galleryText(prod), kbGallery(prod));
+});
+
+bot.action(/^gal_(cover|up|down|rm)_(\d+)$/, async (ctx) => {
+  const prod = ctx.session.review?.prod;
+  if (!prod) return ctx.answerCbQuery();
+  const [, op, raw] = ctx.match;
+  const images = reviewImages(prod);
+  const i = Number(raw);
+  if (i >= images.length) {
+    await ctx.answerCbQuery('That image is already gone.');
+    return replaceOrReply(ctx, galleryText(prod), kbGallery(prod));
+  }
+  const [img] = images.splice(i, 1);
+  if (op === 'cover') images.unshift(img);
+  else if (op === 'up') images.splice(Math.max(0, i - 1), 0, img);
+  else if (op === 'down') images.splice(Math.min(images.length, i + 1), 0, img);
+  setReviewImages(prod, images);
+  await ctx.answerCbQuery(op === 'rm' ? 'Removed from the gallery.' : 'Order updated.');
+  await replaceOrReply(ctx, galleryText(prod), kbGallery(prod));
+});
+
+bot.action('gal_done', async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  ctx.session.await = null;
+  await presentReview(ctx);
+});
+
 async function presentReview(ctx) {
   if (!ctx.session.review) return;
   const { prod, ai, table } = ctx.session.review;
   const caption = reviewMessage(prod, ai, table);
 
-  let photoUrl = prod.image;
-  if (photoUrl && /api\.telegram\.org\/file\/bot/i.test(photoUrl)) {
+  const images = [];
+  for (const url of reviewImages(prod)) {
+    if (!/api\.telegram\.org\/file\/bot/i.test(url)) { images.push(url); continue; }
     try {
-      photoUrl = await rehostToSupabase(photoUrl, `${sanitizeForFilename(prod.name || 'product')}.jpg`, table);
-      ctx.session.review.prod.image = photoUrl;
+      images.push(await rehostToSupabase(url, `${sanitizeForFilename(prod.name || 'product')}.jpg`, table));
     } catch (e) {
       console.warn('[presentReview] rehost failed:', e.message);
-      photoUrl = null;
     }
   }
+  setReviewImages(prod, images);
+  const photoUrl = prod.image;
 
   if(ctx.callbackQuery?.message?.message_id) {
     await ctx.deleteMessage().catch(()=>{});
   }
 
-  if (photoUrl) {
+  await sendGalleryPreview(ctx, images);
+  if (images.length > 1) {
+    await replyMD(ctx, caption, kbConfirm);
+  } else if (photoUrl) {
     try {
       await ctx.replyWithPhoto(
         { url: photoUrl },
@@ -1241,32 +3380,19 @@ async function presentReview(ctx) {
 
 async function applyAllEdits(ctx, text) {
     if (!ctx.session.review) return;
-    const { prod, ai, table } = ctx.session.review;
-    const lines = text.split('\n');
+    const warnings = [];
+    if (ctx.session.review.table === TABLES.products) await loadCategoryTree();
 
-    for (const line of lines) {
+    for (const line of text.split('\n')) {
         const i = line.indexOf(':');
         if (i === -1) continue;
         const key = line.slice(0, i).trim().toLowerCase().replace(/ /g, '');
-        const val = line.slice(i + 1).trim();
-
-        switch (key) {
-            case 'name': prod.name = val; break;
-            case 'plan': prod.plan = val; break;
-            case 'validity': prod.validity = val; break;
-            case 'price': prod.price = parsePrice(val); break;
-            case 'description': prod.description = val; break;
-            case 'tags': prod.tags = val.split(',').map(t => t.trim()).filter(Boolean); break;
-            case 'features': ai.features = val.split(';').map(f => f.trim()).filter(Boolean); break;
-            case 'originalprice': if(table === TABLES.products) prod.originalPrice = parsePrice(val); break;
-            case 'stock': if(table === TABLES.products) prod.stock = parsePrice(val); break;
-            case 'category': if(table === TABLES.products) prod.category = val; break;
-            case 'subcategory': if(table === TABLES.products) prod.subcategory = val; break;
-        }
+        const error = applyFieldEdit(ctx.session.review, EDIT_KEY_ALIASES[key] || key, line.slice(i + 1).trim());
+        if (error) warnings.push(error);
     }
 
     ctx.session.await = null;
-    await ctx.reply('✅ All fields updated.');
+    await ctx.reply(warnings.length ? `✅ Fields updated, with warnings:\n${warnings.map(w => `⚠️ ${w}`).join('\n')}` : '✅ All fields updated.');
     await presentReview(ctx);
 }
 
@@ -1276,16 +3402,18 @@ bot.on('text', async (ctx, next) => {
   if (ctx.session.await === 'choose_text_api') return;
   if (!ctx.session.table && !text.startsWith('/')) return ctx.reply('Welcome! To get started, please choose a table.', kbChooseTable);
   if (ctx.session.await === 'edit_all') return applyAllEdits(ctx, text);
+  if (['edit_field', 'edit_list_add'].includes(ctx.session.await) && !text.startsWith('/')) return applyFieldText(ctx, text);
+  if (ctx.session.await === 'image_prompt' && !text.startsWith('/')) return applyImagePromptText(ctx, text);
 
   if (ctx.session.await === 'image_choice' && text.startsWith('http')) {
     await ctx.reply('🔗 Got it. Rehosting your image URL...');
     try {
       const imageUrl = await rehostToSupabase(text, `${ctx.session.review?.prod?.name || 'product'}.jpg`, ctx.session.review.table);
-      ctx.session.review.prod.image = imageUrl;
+      if (!addReviewImage(ctx.session.review.prod, imageUrl)) await ctx.reply(`⚠️ The gallery is full (${GALLERY_MAX}). Remove one under 🖼️ Images first.`);
       ctx.session.await = null;
       await presentReview(ctx);
     } catch (e) {
-      await ctx.reply('❌ That URL didn’t work. Please try another one, or upload a photo.');
+      await ctx.reply(`❌ That URL didn’t work (${e.message}). Please try another one, or upload a photo.`);
     }
     return;
   }
@@ -1306,15 +3434,15 @@ bot.action('confirm_generate_image', async (ctx) => {
 
   try {
       if (!prod.image) {
-        const hosted = await tryBrandImages(prod, table);
+        const hosted = await tryBrandImages(prod, table, { pageImage: ctx.session.review.ogImageFromPage });
         if (hosted) {
-          prod.image = hosted;
+          addReviewImage(prod, hosted);
           await presentReview(ctx);
           return;
         }
       }
       ctx.session.await = 'image_choice';
-      await ctx.reply('No official image found. Choose a generator or send a URL/upload:', kbImageAPIs);
+      await ctx.reply(`${prod.image ? 'Add another image: choose a generator or send a URL/upload.' : 'No official image found. Choose a generator or send a URL/upload.'}\n\n${imagePromptLine(prod)}`, kbImageAPIs(ctx.session.bannerTemplate, ctx.session.imageMode));
   } catch (e) {
       console.error('confirm_generate_image failed:', e);
       await ctx.reply(`❌ An error occurred: ${e.message}`);
@@ -1323,8 +3451,10 @@ bot.action('confirm_generate_image', async (ctx) => {
   }
 });
 
-async function handleImageChoice(ctx, order) {
+// recipe = { prompt, seed } to reproduce an earlier image; that always renders a single image.
+async function handleImageChoice(ctx, order, recipe = {}) {
   if (!ctx.session.review) return ctx.answerCbQuery();
+  if (!recipe.prompt && ctx.session.imageMode && ctx.session.imageMode !== 'single') return handleImageCandidates(ctx, order);
   await ctx.answerCbQuery();
   await ctx.deleteMessage().catch(()=>{});
   const statusMsg = await ctx.reply('🎨 Starting image generation...');
@@ -1335,10 +3465,10 @@ async function handleImageChoice(ctx, order) {
 
   try {
       const { prod, table } = ctx.session.review;
-      const hosted = await generateBackgroundWithOrder(prod, table, order, editStatus);
+      const hosted = await generateBackgroundWithOrder(prod, table, order, editStatus, { template: ctx.session.bannerTemplate, ...recipe });
       
       if (hosted) {
-          ctx.session.review.prod.image = hosted;
+          if (!addReviewImage(prod, hosted)) await ctx.reply(`⚠️ The gallery is full (${GALLERY_MAX}); the new image was not added.`);
           ctx.session.await = null;
       }
       await presentReview(ctx);
@@ -1350,11 +3480,203 @@ async function handleImageChoice(ctx, order) {
   }
 }
 
-bot.action('imgapi_pollinations', (ctx)=>handleImageChoice(ctx, ['pollinations','hf','deepai']));
-bot.action('imgapi_hf', (ctx)=>handleImageChoice(ctx, ['hf','pollinations','deepai']));
-bot.action('imgapi_deepai', (ctx)=>handleImageChoice(ctx, ['deepai','pollinations','hf']));
-bot.action('imgapi_cloudflare', (ctx)=>handleImageChoice(ctx, ['cloudflare','pollinations','hf','deepai']));
-bot.action('imgapi_auto', (ctx)=>handleImageChoice(ctx, ['cloudflare','hf','deepai','pollinations']));
+bot.action('imgapi_auto', (ctx)=>handleImageChoice(ctx, defaultImageProviderOrder()));
+bot.action('imgmode_next', async (ctx) => {
+  const mode = IMAGE_MODES[(IMAGE_MODES.indexOf(ctx.session.imageMode || 'single') + 1) % IMAGE_MODES.length];
+  ctx.session.imageMode = mode;
+  await ctx.answerCbQuery(IMAGE_MODE_LABELS[mode]);
+  await ctx.editMessageReplyMarkup(kbImageAPIs(ctx.session.bannerTemplate, mode).reply_markup).catch(()=>{});
+});
+
+/* ---- candidate picker ---- */
+// The previews sent to the chat are the only copy of each render: ctx.session.imageCandidates keeps their
+// Telegram file_ids, { order, prompt, items: [{ fileId, provider, seed }], msgIds, at }, so any instance can
+// serve the pick, which is rehosted from the largest size Telegram kept. Nothing is uploaded until the admin
+// picks one, so rejected renders never reach storage.
+const CANDIDATE_TTL_MS = 30 * 60 * 1000;
+
+function kbImageCandidates(n) {
+  const picks = Array.from({ length: n }, (_, i) => Markup.button.callback(`Use #${i + 1}`, `imgcand_use_${i}`));
+  const rows = [];
+  for (let i = 0; i < picks.length; i += 5) rows.push(picks.slice(i, i + 5));
+  rows.push([Markup.button.callback('🔁 Regenerate', 'imgcand_regen'), Markup.button.callback('❌ Cancel', 'imgcand_cancel')]);
+  return Markup.inlineKeyboard(rows);
+}
+
+async function clearImageCandidates(ctx) {
+  for (const id of ctx.session.imageCandidates?.msgIds || []) await ctx.telegram.deleteMessage(ctx.chat.id, id).catch(()=>{});
+  delete ctx.session.imageCandidates;
+}
+
+const liveImageCandidates = (ctx) => {
+  const state = ctx.session.imageCandidates;
+  return state && Date.now() - state.at <= CANDIDATE_TTL_MS ? state : null;
+};
+
+async function handleImageCandidates(ctx, order) {
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(()=>{});
+  await clearImageCandidates(ctx);
+  const statusMsg = await ctx.reply('🎲 Generating candidates...');
+  const editStatus = async (text) => {
+    try { await ctx.telegram.editMessageText(ctx.chat.id, statusMsg.message_id, null, text); }
+    catch (e) { console.warn('Could not edit status message:', e.message); }
+  };
+
+  try {
+    const { prod } = ctx.session.review;
+    const items = await generateImageCandidates(prod, order, { mode: ctx.session.imageMode, template: ctx.session.bannerTemplate, editStatus });
+    if (!items.length) {
+      ctx.session.await = 'image_choice';
+      return await ctx.reply('❌ No provider produced an image. Try another one, or send a URL/upload:', kbImageAPIs(ctx.session.bannerTemplate, ctx.session.imageMode));
+    }
+    const caption = (c, i) => `#${i + 1} · ${IMAGE_PROVIDERS.get(c.provider)?.label || c.provider}`;
+    const sent = items.length > 1
+      ? await ctx.replyWithMediaGroup(items.map((c, i) => ({ type: 'photo', media: { source: c.buf }, caption: caption(c, i) })))
+      : [await ctx.replyWithPhoto({ source: items[0].buf }, { caption: caption(items[0], 0) })];
+    const picker = await ctx.reply('Pick the image to keep — only that one is uploaded:', kbImageCandidates(items.length));
+    ctx.session.imageCandidates = {
+      order, prompt: items[0].prompt, at: Date.now(),
+      items: items.map((c, i) => ({ fileId: sent[i].photo.pop().file_id, provider: c.provider, seed: c.seed })),
+      msgIds: [...sent.map(m => m.message_id), picker.message_id],
+    };
+  } catch (e) {
+    console.error('Image candidates failed:', e);
+    await ctx.reply(`❌ An error occurred during image generation: ${e.message}`);
+  } finally {
+    await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id).catch(()=>{});
+  }
+}
+
+bot.action(/^imgcand_use_(\d+)$/, async (ctx) => {
+  const state = liveImageCandidates(ctx);
+  const pick = state?.items[Number(ctx.match[1])];
+  if (!ctx.session.review || !pick) return ctx.answerCbQuery('These candidates have expired — generate again.', { show_alert: true });
+  await ctx.answerCbQuery('Uploading...');
+  const { prod, table } = ctx.session.review;
+  let hosted;
+  try {
+    hosted = await rehostToSupabase(await tgFileUrl(pick.fileId), `${prod.name}_${pick.provider}.png`, table);
+  } catch (e) {
+    return ctx.reply(`⚠️ Could not use #${Number(ctx.match[1]) + 1}: ${e.message}. Pick another or regenerate.`);
+  }
+  await clearImageCandidates(ctx);
+  recordImageRecipe(prod, { ...pick, prompt: state.prompt });
+  if (!addReviewImage(prod, hosted)) await ctx.reply(`⚠️ The gallery is full (${GALLERY_MAX}); the new image was not added.`);
+  ctx.session.await = null;
+  await presentReview(ctx);
+});
+
+bot.action('imgcand_regen', async (ctx) => {
+  const state = liveImageCandidates(ctx);
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  return handleImageCandidates(ctx, state?.order || []);
+});
+
+bot.action('imgcand_cancel', async (ctx) => {
+  await ctx.answerCbQuery();
+  await clearImageCandidates(ctx);
+  ctx.session.await = null;
+  if (ctx.session.review) await presentReview(ctx);
+});
+
+/* ---- image prompt & style ---- */
+function imagePromptLine(prod) {
+  const prompt = buildImagePrompt(prod);
+  return `🖌️ ${IMAGE_STYLES[imageStyleOf(prod)].label}${prod.promptOverride ? ' (edited)' : ''} prompt: ${prompt.length > 300 ? prompt.slice(0, 300) + '…' : prompt}`;
+}
+
+function imagePromptText(prod) {
+  const prompt = buildImagePrompt(prod);
+  const lines = [`🖌️ Image prompt — style ${IMAGE_STYLES[imageStyleOf(prod)].label}, ${prod.promptOverride ? 'edited by hand' : 'auto'}:`, '', prompt];
+  for (const p of configuredImageProviders()) {
+    if (p.safety === 'rewrite') lines.push('', `${p.label} rewrites it for its safety filter to:`, finalImagePrompt(p, prompt));
+  }
+  if (prod.imagePrompt) lines.push('', `Last image: ${IMAGE_PROVIDERS.get(prod.imageProvider)?.label || prod.imageProvider || 'unknown provider'}${prod.imageSeed ? `, seed ${prod.imageSeed}` : ''}.`);
+  return lines.join('\n');
+}
+
+function kbImagePrompt(prod) {
+  const current = imageStyleOf(prod);
+  const styles = Object.entries(IMAGE_STYLES).map(([id, st]) => Markup.button.callback(`${id === current && !prod.promptOverride ? '✅ ' : ''}${st.label}`, `imgstyle_${id}`));
+  const rows = [];
+  for (let i = 0; i < styles.length; i += 2) rows.push(styles.slice(i, i + 2));
+  rows.push([Markup.button.callback('✏️ Edit prompt', 'imgprompt_edit'), ...(prod.promptOverride ? [Markup.button.callback('♻️ Auto prompt', 'imgprompt_reset')] : [])]);
+  if (prod.imagePrompt) rows.push([Markup.button.callback('🔁 Reproduce last image', 'imgprompt_repro')]);
+  rows.push([Markup.button.callback('⬅️ Back to generators', 'imgprompt_back')]);
+  return Markup.inlineKeyboard(rows);
+}
+
+const showImagePrompt = (ctx) => replaceOrReply(ctx, imagePromptText(ctx.session.review.prod), kbImagePrompt(ctx.session.review.prod));
+
+bot.action('imgprompt_menu', async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await showImagePrompt(ctx);
+});
+
+// A preset rebuilds the auto prompt, so it replaces a hand-edited one.
+bot.action(/^imgstyle_([a-z0-9_-]+)$/i, async (ctx) => {
+  const prod = ctx.session.review?.prod;
+  if (!prod || !IMAGE_STYLES[ctx.match[1]]) return ctx.answerCbQuery();
+  prod.imageStyle = ctx.match[1];
+  prod.promptOverride = null;
+  await ctx.answerCbQuery(`Style: ${IMAGE_STYLES[ctx.match[1]].label}`);
+  await showImagePrompt(ctx);
+});
+
+bot.action('imgprompt_edit', async (ctx) => {
+  const prod = ctx.session.review?.prod;
+  if (!prod) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  ctx.session.await = 'image_prompt';
+  await ctx.reply(`Send the new prompt. The current one, to copy and tweak:\n\n${buildImagePrompt(prod)}`);
+});
+
+bot.action('imgprompt_reset', async (ctx) => {
+  const prod = ctx.session.review?.prod;
+  if (!prod) return ctx.answerCbQuery();
+  prod.promptOverride = null;
+  await ctx.answerCbQuery('Back to the auto prompt.');
+  await showImagePrompt(ctx);
+});
+
+bot.action('imgprompt_repro', async (ctx) => {
+  const prod = ctx.session.review?.prod;
+  if (!prod?.imagePrompt) return ctx.answerCbQuery('No earlier image to reproduce.');
+  const order = prod.imageProvider ? imageOrderStartingWith(prod.imageProvider) : [];
+  return handleImageChoice(ctx, order, { prompt: prod.imagePrompt, seed: prod.imageSeed || null });
+});
+
+bot.action('imgprompt_back', async (ctx) => {
+  if (!ctx.session.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  ctx.session.await = 'image_choice';
+  await replaceOrReply(ctx, `Pick a generator, or send an image URL / upload photos.\n\n${imagePromptLine(ctx.session.review.prod)}`, kbImageAPIs(ctx.session.bannerTemplate, ctx.session.imageMode));
+});
+
+async function applyImagePromptText(ctx, text) {
+  const prod = ctx.session.review?.prod;
+  ctx.session.await = 'image_choice';
+  if (!prod) return;
+  prod.promptOverride = text.trim().slice(0, 1500);
+  await ctx.reply('✅ Prompt saved.');
+  await showImagePrompt(ctx);
+}
+bot.action('tpl_menu', async (ctx) => {
+  await ctx.answerCbQuery();
+  const current = bannerTemplate(ctx.session.bannerTemplate);
+  const rows = Object.entries(BANNER_TEMPLATES).map(([id, t]) => [Markup.button.callback(`${t === current ? '✅ ' : ''}${t.label}`, `tpl_set_${id}`)]);
+  await replaceOrReply(ctx, 'Choose a banner template for generated images:', Markup.inlineKeyboard(rows));
+});
+
+bot.action(/^tpl_set_([a-z0-9_-]+)$/i, async (ctx) => {
+  if (!BANNER_TEMPLATES[ctx.match[1]]) return ctx.answerCbQuery('Unknown template.');
+  ctx.session.bannerTemplate = ctx.match[1];
+  await ctx.answerCbQuery(`Template: ${BANNER_TEMPLATES[ctx.match[1]].label}`);
+  await replaceOrReply(ctx, `Pick a generator, or send an image URL / upload photos.${ctx.session.review ? `\n\n${imagePromptLine(ctx.session.review.prod)}` : ''}`, kbImageAPIs(ctx.session.bannerTemplate, ctx.session.imageMode));
+});
+
 bot.action('imgapi_cancel', async (ctx) => {
   await ctx.answerCbQuery();
   await ctx.deleteMessage().catch(()=>{});
@@ -1362,22 +3684,42 @@ bot.action('imgapi_cancel', async (ctx) => {
   ctx.session.await = null;
   if (ctx.session.review) await presentReview(ctx);
 });
+bot.action(/^imgapi_(.+)$/, (ctx) => IMAGE_PROVIDERS.has(ctx.match[1]) ? handleImageChoice(ctx, imageOrderStartingWith(ctx.match[1])) : ctx.answerCbQuery('Unknown provider'));
 
 async function processIncomingImage(ctx, fileId, filenameHint = 'upload.jpg') {
   try {
     const table = ctx.session?.review?.table || ctx.session?.table;
     if (!table) return await ctx.reply('Please choose a table first.', kbChooseTable);
-    const fileUrl = await tgFileUrl(fileId);
-    await ctx.reply('🖼️ Rehosting your image...');
-    const hosted = await rehostToSupabase(fileUrl, `${sanitizeForFilename(ctx.session?.review?.prod?.name || filenameHint)}`, table);
-    if (ctx.session?.review?.prod) {
-      ctx.session.review.prod.image = hosted;
+    // Albums arrive as one update per photo; only the newest part adds the whole album and re-renders the review.
+    const albumKey = ctx.message?.media_group_id ? `album:${ctx.chat.id}:${ctx.message.media_group_id}` : null;
+    const partId = ctx.message?.message_id;
+    let urls;
+    if (albumKey) {
+      await appendToAlbum(albumKey, 'ids', partId);
+      // A part that fails to rehost is still marked done so the newest part doesn't wait on it.
+      const hosted = await tgFileUrl(fileId)
+        .then(fileUrl => rehostToSupabase(fileUrl, `${sanitizeForFilename(ctx.session?.review?.prod?.name || filenameHint)}`, table))
+        .catch(e => { console.warn(`[upload] album part ${partId} failed: ${e.message}`); return null; });
+      await appendToAlbum(albumKey, 'hosted', { id: partId, url: hosted });
+      urls = await settleAlbum(albumKey, partId);
+      if (!urls) return;
+      if (!urls.length) return await ctx.reply('❌ Could not process the album images.');
+    } else {
+      const fileUrl = await tgFileUrl(fileId);
+      await ctx.reply('🖼️ Rehosting your image...');
+      urls = [await rehostToSupabase(fileUrl, `${sanitizeForFilename(ctx.session?.review?.prod?.name || filenameHint)}`, table)];
+    }
+    const review = ctx.session?.review;
+    if (review?.prod) {
+      const skipped = urls.filter(url => !addReviewImage(review.prod, url)).length;
+      if (skipped === urls.length) return await ctx.reply(`⚠️ The gallery is full (${GALLERY_MAX}). Remove one under 🖼️ Images first.`);
+      if (skipped) await ctx.reply(`⚠️ The gallery is full (${GALLERY_MAX}); ${skipped} image(s) were not added.`);
       if (ctx.session.await === 'image_choice') ctx.session.await = null;
-      await presentReview(ctx);
     } else {
-      ctx.session.lastUploadedImage = hosted;
-      await ctx.reply('✅ Image uploaded. I’ll use it when we get to the review.');
+      ctx.session.pendingImages = uniqMerge(ctx.session.pendingImages || [], urls).slice(0, GALLERY_MAX);
     }
+    if (review?.prod) await presentReview(ctx);
+    else await ctx.reply(`✅ ${ctx.session.pendingImages.length} image(s) uploaded. I’ll add them to the gallery when we get to the review.`);
   } catch (e) {
     console.error('[upload] manual image failed:', e);
     await ctx.reply(`❌ Could not process the image: ${e.message}`);
@@ -1385,7 +3727,12 @@ async function processIncomingImage(ctx, fileId, filenameHint = 'upload.jpg') {
 }
 
 bot.on('photo', (ctx) => isAdmin(ctx) && processIncomingImage(ctx, ctx.message.photo.pop().file_id, 'upload.jpg'));
-bot.on('document', (ctx) => isAdmin(ctx) && ctx.message.document.mime_type?.startsWith('image/') && processIncomingImage(ctx, ctx.message.document.file_id, ctx.message.document.file_name));
+bot.on('document', (ctx) => {
+  if (!isAdmin(ctx)) return;
+  const doc = ctx.message.document;
+  if (ctx.session.await === 'import_file') return handleImportFile(ctx, doc);
+  if (doc.mime_type?.startsWith('image/')) return processIncomingImage(ctx, doc.file_id, doc.file_name);
+});
 
 bot.action('cancel', (ctx) => {
   ctx.answerCbQuery();
@@ -1395,38 +3742,68 @@ bot.action('cancel', (ctx) => {
   ctx.reply('Cancelled.', kbAfterTask);
 });
 
-bot.action('save', async (ctx) => {
-  if (!isAdmin(ctx) || !ctx.session?.review) return ctx.answerCbQuery();
-  await ctx.answerCbQuery();
-  const { prod, ai, table, updateId } = ctx.session.review;
+function reviewToRow(review) {
+  const { prod, ai, table } = review;
   const isProducts = table === TABLES.products;
-
-  const data = isProducts
+  const row = isProducts
     ? { name: prod.name, plan: prod.plan || ai.plan || null, validity: prod.validity || ai.validity || null, price: prod.price || ai.price || null, originalPrice: prod.originalPrice || null, description: prod.description || ai.description || null, category: prod.category || ai.category || null, subcategory: prod.subcategory || ai.subcategory || null, stock: prod.stock || null, tags: uniqMerge(prod.tags, ai.tags), features: ai.features || [], image: prod.image }
     : { name: prod.name, plan: prod.plan || ai.plan || null, validity: prod.validity || ai.validity || null, description: prod.description || ai.description || null, price: prod.price || ai.price || null, tags: uniqMerge(prod.tags, ai.tags), features: ai.features || [], image_url: prod.image };
-  
-  // Conditionally add is_active only when inserting a new product
-  if (!updateId) {
-      data.is_active = true;
+  if (ai.sources?.urls?.length) row.sources = ai.sources;
+  row.currency = prod.currency || ai.currency || DEFAULT_CURRENCY;
+  if (prod.billingPeriod || ai.billingPeriod) row.billingPeriod = prod.billingPeriod || ai.billingPeriod;
+  if (!isProducts && ok(prod.originalPrice)) row.originalPrice = prod.originalPrice;
+  row.images = reviewImages(prod);
+  if (prod.imagePrompt) Object.assign(row, { imagePrompt: prod.imagePrompt, imageSeed: prod.imageSeed ?? null, imageProvider: prod.imageProvider || null });
+  return row;
+}
+
+// Columns newer features write when present; tables that predate them keep working.
+const OPTIONAL_COLUMNS = ['sources', 'currency', 'billingPeriod', 'originalPrice', 'images', 'imagePrompt', 'imageSeed', 'imageProvider'];
+
+// Runs `write(data)`; if PostgREST rejects an optional column that the table lacks, drops it and retries.
+async function writeWithOptionalColumns(data, write) {
+  let payload = { ...data };
+  for (;;) {
+    const res = await write(payload);
+    const missing = res?.error && OPTIONAL_COLUMNS.find(c => c in payload && new RegExp(`['"]?${c}['"]? column|column ['"]?${c}['"]?`, 'i').test(res.error.message || ''));
+    if (!missing) return res;
+    console.warn(`[db] optional column "${missing}" missing, saving without it`);
+    const { [missing]: _drop, ...rest } = payload;
+    payload = rest;
   }
+}
+
+// Inserts a new row unless one with the same name+price exists. Returns { status: 'inserted'|'duplicate', id }.
+async function insertUnlessDuplicate(table, data, actor) {
+  const { data: existing } = await supabase.from(table).select('id').eq('name', data.name).eq('price', data.price ?? null).is('deleted_at', null).maybeSingle();
+  if (existing) return { status: 'duplicate', id: existing.id };
+  const { data: inserted, error } = await writeWithOptionalColumns({ ...data, is_active: true }, (d) => supabase.from(table).insert([d]).select('id').maybeSingle());
+  if (error) throw error;
+  if (inserted?.id) await writeAudit({ actor, table, productId: inserted.id, action: 'insert', before: null, after: await snapshotRow(table, inserted.id) });
+  return { status: 'inserted', id: inserted?.id ?? null };
+}
+
+bot.action('save', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session?.review) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  const { table, updateId } = ctx.session.review;
+  const data = reviewToRow(ctx.session.review);
 
   try {
     await ctx.deleteMessage().catch(()=>{});
-    let query;
     if (updateId) {
-      query = supabase.from(table).update(data).eq('id', updateId);
+      const before = await snapshotRow(table, updateId);
+      const { error } = await writeWithOptionalColumns(data, (d) => supabase.from(table).update(d).eq('id', updateId));
+      if (error) throw error;
+      await writeAudit({ actor: actorOf(ctx), table, productId: updateId, action: 'update', before, after: await snapshotRow(table, updateId) });
     } else {
-      const { data: existing } = await supabase.from(table).select('id').eq('name', prod.name).eq('price', prod.price || ai.price || null).maybeSingle();
-      if (existing) {
-        await ctx.reply(`⚠️ This product already exists (ID: ${existing.id}). Use \`/update ${existing.id}\` if you want to change it.`, kbAfterTask);
+      const res = await insertUnlessDuplicate(table, data, actorOf(ctx));
+      if (res.status === 'duplicate') {
+        await ctx.reply(`⚠️ This product already exists (ID: ${res.id}). Use \`/update ${res.id}\` if you want to change it.`, kbAfterTask);
         return;
       }
-      query = supabase.from(table).insert([data]);
     }
     
-    const { error } = await query;
-    if (error) throw error;
-    
     await ctx.reply(`✅ Product *${updateId ? 'updated' : 'added'}* successfully.`, {parse_mode: 'Markdown'});
     ctx.session.review = null; ctx.session.await = null; ctx.session.mode = null;
     await ctx.reply('What next?', kbAfterTask);
@@ -1441,35 +3818,369 @@ function rowToReview(table, row) {
   const imgCol = isProducts ? 'image' : 'image_url';
   const prod = {
     name: row.name || '', plan: row.plan ?? null, validity: row.validity ?? null, price: row.price ?? null,
-    originalPrice: isProducts ? (row.originalPrice ?? null) : undefined, stock: isProducts ? (row.stock ?? null) : undefined,
+    currency: row.currency || DEFAULT_CURRENCY, billingPeriod: row.billingPeriod ?? null,
+    originalPrice: row.originalPrice ?? null, stock: isProducts ? (row.stock ?? null) : undefined,
     description: row.description || '', tags: Array.isArray(row.tags) ? row.tags : (row.tags ? String(row.tags).split(',').map(s=>s.trim()) : []),
-    image: row[imgCol] || null, category: isProducts ? (row.category || null) : undefined, subcategory: isProducts ? (row.subcategory || null) : undefined,
+    image: row[imgCol] || null, images: uniqMerge(row[imgCol] ? [row[imgCol]] : [], Array.isArray(row.images) ? row.images : []),
+    category: isProducts ? (row.category || null) : undefined, subcategory: isProducts ? (row.subcategory || null) : undefined,
+    imagePrompt: row.imagePrompt || null, imageSeed: row.imageSeed ?? null, imageProvider: row.imageProvider || null,
     is_active: row.is_active,
   };
   const ai = {
     description: row.description || '', category: isProducts ? (row.category || 'Download') : 'Download', subcategory: isProducts ? (row.subcategory || 'unknown') : 'unknown',
-    tags: Array.isArray(row.tags) ? row.tags : [], features: Array.isArray(row?.features) ? row.features : [],
+    tags: Array.isArray(row.tags) ? row.tags : [], features: Array.isArray(row?.features) ? row.features : [], sources: row.sources && Array.isArray(row.sources.urls) ? row.sources : undefined,
     name: row.name || '', plan: row.plan ?? 'unknown', validity: row.validity ?? 'unknown', price: row.price ?? null,
   };
   return { prod, ai };
 }
 
-bot.command('update', async (ctx) => {
-  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
-  const id = (ctx.message?.text || '').trim().split(/\s+/)[1];
-  if (!id) return ctx.reply('Usage: /update <id>');
-
-  const selCols = ctx.session.table === TABLES.products
-    ? 'id,name,plan,validity,price,originalPrice,description,category,subcategory,stock,tags,features,image,is_active'
-    : 'id,name,plan,validity,description,price,tags,features,image_url,is_active';
-
-  const { data: row, error } = await supabase.from(ctx.session.table).select(selCols).eq('id', id).maybeSingle();
+async function openProductForUpdate(ctx, id) {
+  const { data: row, error } = await supabase.from(ctx.session.table).select('*').eq('id', id).maybeSingle();
   if (error) return ctx.reply(`DB error: ${error.message}`);
   if (!row) return ctx.reply('Not found.');
   const { prod, ai } = rowToReview(ctx.session.table, row);
   ctx.session.review = { prod, ai, table: ctx.session.table, updateId: row.id, ogImageFromPage: null };
   ctx.session.mode = null; ctx.session.await = null;
   await presentReview(ctx);
+}
+
+bot.command('update', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /table');
+  const id = (ctx.message?.text || '').trim().split(/\s+/)[1];
+  if (!id) return ctx.reply('Usage: /update <id>');
+  await openProductForUpdate(ctx, id);
+});
+
+/* ---- bulk import (/import) ---- */
+const IMPORT_MAX_ROWS = Math.max(1, parseInt(process.env.IMPORT_MAX_ROWS || '200', 10));
+const IMPORT_STEP_MS = Math.max(10000, parseInt(process.env.IMPORT_STEP_MS || '45000', 10));
+// Time kept back from a row's evidence search for its AI call; a row only starts with at least this much left.
+const IMPORT_ROW_RESERVE_MS = 15000;
+
+function parseCsv(text = '') {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  const nonEmpty = rows.filter(r => r.some(v => String(v).trim()));
+  if (!nonEmpty.length) return [];
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? '').trim()])));
+}
+
+function parseImportFile(fileName = '', raw = '') {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(raw);
+  if (!isJson) return parseCsv(raw);
+  const parsed = JSON.parse(raw);
+  const list = Array.isArray(parsed) ? parsed : (parsed.rows || parsed.products || parsed.items || []);
+  if (!Array.isArray(list)) throw new Error('JSON must be an array of objects');
+  return list.filter(r => r && typeof r === 'object');
+}
+
+// Maps the loose column names people use in spreadsheets onto our row keys.
+function normalizeImportRow(row = {}) {
+  const alias = { title: 'name', product: 'name', mrp: 'originalPrice', original_price: 'originalPrice', originalprice: 'originalPrice', billingperiod: 'billingPeriod', billing_period: 'billingPeriod', billing: 'billingPeriod', period: 'billingPeriod', image_url: 'image', imageurl: 'image', sub_category: 'subcategory', qty: 'stock' };
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (!ok(v)) continue;
+    const lower = k.trim().toLowerCase().replace(/\s+/g, '_');
+    out[alias[lower] || lower] = v;
+  }
+  const splitList = (v, sep) => Array.isArray(v) ? v.map(String).map(s => s.trim()).filter(Boolean) : String(v).split(sep).map(s => s.trim()).filter(Boolean);
+  if (out.tags) out.tags = splitList(out.tags, /[;,]/);
+  if (out.features) out.features = splitList(out.features, ';');
+  if (out.images) out.images = splitList(out.images, /[;\s]+/);
+  return out;
+}
+
+function importRowToHints(row) {
+  return ['name', 'plan', 'validity', 'price', 'currency', 'description', 'category', 'subcategory']
+    .filter(k => ok(row[k]))
+    .map(k => (k === 'name' ? String(row[k]) : `${k[0].toUpperCase()}${k.slice(1)}: ${row[k]}`))
+    .join('\n') + (row.url ? `\n${row.url}` : '');
+}
+
+// Works to the step's `deadline`: the evidence search stops IMPORT_ROW_RESERVE_MS before it, and image work
+// that would run past it is dropped (the row is staged without an image).
+async function stageImportRow(row, table, textOrder, withImages, deadline = Infinity) {
+  // The price parser would read "1,5" as 15 and "10-20" as 10, so stock must be a plain whole number.
+  const stock = table === TABLES.products && ok(row.stock) ? String(row.stock).trim() : null;
+  if (stock !== null && !/^\d+$/.test(stock)) throw new Error(`stock "${stock}" is not a whole number`);
+  const aiData = await enrichWithAI(importRowToHints(row), '', textOrder, async () => {}, { deadline: deadline - IMPORT_ROW_RESERVE_MS });
+  const prod = { ...aiData, image: null };
+  setReviewImages(prod, [row.image, ...(row.images || [])].filter(Boolean));
+  for (const k of ['name', 'plan', 'validity', 'description', 'category', 'subcategory']) if (ok(row[k])) prod[k] = String(row[k]);
+  if (ok(row.price)) Object.assign(prod, pickPriceFields(parsePriceInfo(row.price, currencyCode(row.currency) || prod.currency || DEFAULT_CURRENCY)));
+  if (ok(row.currency)) prod.currency = currencyCode(row.currency) || String(row.currency).toUpperCase();
+  if (ok(row.billingPeriod)) prod.billingPeriod = periodName(row.billingPeriod) || String(row.billingPeriod);
+  if (ok(row.originalPrice)) prod.originalPrice = parsePriceInfo(row.originalPrice).price;
+  if (table === TABLES.products) {
+    if (stock !== null) prod.stock = Number(stock);
+    prod.category = normalizeCategory(prod, prod.category);
+    prod.subcategory = normalizeSubcategory(prod.category, prod.subcategory, prod);
+  }
+  if (row.tags?.length) prod.tags = row.tags;
+  const ai = { ...aiData, features: row.features?.length ? row.features : aiData.features };
+
+  const beforeDeadline = (work) => {
+    if (!Number.isFinite(deadline)) return work;
+    let timer;
+    const expired = new Promise(r => { timer = setTimeout(() => r(null), Math.max(0, deadline - Date.now())); });
+    return Promise.race([work, expired]).finally(() => clearTimeout(timer));
+  };
+  if (!prod.image && withImages && Date.now() < deadline) {
+    addReviewImage(prod, await beforeDeadline((async () => await tryBrandImages(prod, table, { deadline: Math.min(deadline, Date.now() + IMAGE_PICK_BUDGET_MS) }).catch(() => null)
+      || await generateBackgroundWithOrder(prod, table, [], async () => {}).catch(() => null))()));
+    if (!prod.image) console.warn(`[import] no image for "${prod.name}" within the step budget`);
+  } else if (prod.image) {
+    const hosted = [];
+    for (const url of prod.images) {
+      const rehosted = /supabase/i.test(url) || Date.now() >= deadline ? null
+        : await beforeDeadline(rehostToSupabase(url, `${sanitizeForFilename(prod.name)}.jpg`, table).catch(() => null));
+      hosted.push(rehosted || url);
+    }
+    setReviewImages(prod, hosted);
+  }
+  return { prod, ai, table };
+}
+
+const kbImportContinue = Markup.inlineKeyboard([
+  [Markup.button.callback('▶️ Continue Import', 'import_continue')],
+  [Markup.button.callback('❌ Cancel Import', 'import_cancel')],
+]);
+const kbImportReview = Markup.inlineKeyboard([
+  [Markup.button.callback('✅ Save', 'import_save'), Markup.button.callback('⏭️ Skip', 'import_skip')],
+  [Markup.button.callback('💾 Save All Remaining', 'import_save_all')],
+  [Markup.button.callback('❌ Cancel Import', 'import_cancel')],
+]);
+
+bot.command('import', (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /start');
+  const withImages = /\bimages?\b/i.test(ctx.message.text.split(/\s+/).slice(1).join(' '));
+  ctx.session.await = 'import_file';
+  ctx.session.importJob = { table: ctx.session.table, withImages };
+  return replyMD(ctx, `Send a *CSV* or *JSON* file (max ${IMPORT_MAX_ROWS} rows).\nColumns: name, plan, validity, price, originalPrice, stock, description, category, subcategory, tags, features, image, images (separated by ;), url.\n${withImages ? 'Images will be looked up or generated for rows without one.' : 'Tip: use `/import images` to also find/generate images.'}`);
+});
+
+async function handleImportFile(ctx, doc) {
+  const job = ctx.session.importJob || { table: ctx.session.table, withImages: false };
+  if (!/\.(csv|json)$/i.test(doc.file_name || '') && !/(csv|json)/i.test(doc.mime_type || '')) {
+    return ctx.reply('Please send a .csv or .json file.');
+  }
+  try {
+    const res = await fetch(await tgFileUrl(doc.file_id));
+    if (!res.ok) throw new Error(`Download failed: ${res.status}`);
+    const rows = parseImportFile(doc.file_name, await res.text()).map(normalizeImportRow);
+    const valid = rows.filter(r => ok(r.name));
+    if (!valid.length) return ctx.reply('❌ No rows with a `name` column found.');
+    if (valid.length > IMPORT_MAX_ROWS) return ctx.reply(`❌ Too many rows (${valid.length}). Max is ${IMPORT_MAX_ROWS}.`);
+
+    const statusMsg = await ctx.reply(`📥 Import: 0/${valid.length} processed...`);
+    ctx.session.await = null;
+    ctx.session.importJob = { ...job, rows: valid, cursor: 0, staged: [], failed: [], statusMsgId: statusMsg.message_id, results: { inserted: 0, duplicate: 0, failed: 0, skipped: 0 }, reviewIndex: 0 };
+    await runImportStep(ctx);
+  } catch (e) {
+    console.error('[import] file failed:', e);
+    await ctx.reply(`❌ Could not read the file: ${e.message}`);
+  }
+}
+
+// Processes rows until the step budget runs out so each update stays inside the handler/webhook timeout.
+async function runImportStep(ctx) {
+  const job = ctx.session.importJob;
+  if (!job?.rows) return;
+  const deadline = Date.now() + IMPORT_STEP_MS;
+  const editStatus = async (text) => {
+    try { await ctx.telegram.editMessageText(ctx.chat.id, job.statusMsgId, null, text); }
+    catch (e) { console.warn('Could not edit status message:', e.message); }
+  };
+
+  while (job.cursor < job.rows.length && deadline - Date.now() >= IMPORT_ROW_RESERVE_MS) {
+    const row = job.rows[job.cursor];
+    await editStatus(`📥 Import: ${job.cursor}/${job.rows.length} processed — ${row.name}`);
+    try {
+      job.staged.push(await stageImportRow(row, job.table, ctx.session.textOrder, job.withImages, deadline));
+    } catch (e) {
+      console.warn(`[import] row ${job.cursor + 1} failed:`, e.message);
+      job.failed.push({ row: job.cursor + 1, name: row.name, error: e.message });
+      job.results.failed++;
+    }
+    job.cursor++;
+  }
+
+  if (job.cursor < job.rows.length) {
+    await editStatus(`📥 Import: ${job.cursor}/${job.rows.length} processed. Paused to stay within time limits.`);
+    await ctx.reply('Tap continue to process the next rows.', kbImportContinue);
+    return;
+  }
+  await editStatus(`📥 Import: ${job.rows.length}/${job.rows.length} processed — ${job.staged.length} ready for review, ${job.failed.length} failed.`);
+  await presentImportRow(ctx);
+}
+
+async function presentImportRow(ctx) {
+  const job = ctx.session.importJob;
+  if (!job) return;
+  if (job.reviewIndex >= job.staged.length) return finishImport(ctx);
+  const item = job.staged[job.reviewIndex];
+  const caption = `*Import ${job.reviewIndex + 1}/${job.staged.length}*\n\n` + reviewMessage(item.prod, item.ai, item.table);
+  await replyMD(ctx, caption.slice(0, 4000), kbImportReview);
+}
+
+async function saveImportItem(item, actor) {
+  try {
+    const { status } = await insertUnlessDuplicate(item.table, reviewToRow(item), actor);
+    return status;
+  } catch (e) {
+    console.warn('[import] save failed:', e.message);
+    return 'failed';
+  }
+}
+
+async function finishImport(ctx) {
+  const job = ctx.session.importJob;
+  if (!job) return;
+  const r = job.results;
+  const lines = [
+    '📦 *Import finished*',
+    `Inserted: ${r.inserted}`,
+    `Duplicates: ${r.duplicate}`,
+    `Skipped: ${r.skipped}`,
+    `Failed: ${r.failed}`,
+  ];
+  if (job.failed.length) lines.push('', ...job.failed.slice(0, 15).map(f => `• Row ${f.row} (${escapeMd(f.name)}): ${escapeMd(f.error)}`));
+  ctx.session.importJob = null;
+  await replyMD(ctx, lines.join('\n'), kbAfterTask);
+}
+
+bot.action('import_continue', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.importJob?.rows) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(()=>{});
+  await runImportStep(ctx);
+});
+
+bot.action(/^import_(save|skip)$/, async (ctx) => {
+  const job = ctx.session.importJob;
+  if (!isAdmin(ctx) || !job?.staged) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(()=>{});
+  const item = job.staged[job.reviewIndex];
+  if (item && ctx.match[1] === 'save') {
+    const status = await saveImportItem(item, actorOf(ctx));
+    job.results[status]++;
+    if (status === 'failed') job.failed.push({ row: job.reviewIndex + 1, name: item.prod.name, error: 'save failed' });
+  } else if (item) job.results.skipped++;
+  job.reviewIndex++;
+  await presentImportRow(ctx);
+});
+
+bot.action('import_save_all', async (ctx) => {
+  const job = ctx.session.importJob;
+  if (!isAdmin(ctx) || !job?.staged) return ctx.answerCbQuery();
+  await ctx.answerCbQuery('Saving…');
+  await ctx.deleteMessage().catch(()=>{});
+  for (; job.reviewIndex < job.staged.length; job.reviewIndex++) {
+    const item = job.staged[job.reviewIndex];
+    const status = await saveImportItem(item, actorOf(ctx));
+    job.results[status]++;
+    if (status === 'failed') job.failed.push({ row: job.reviewIndex + 1, name: item.prod.name, error: 'save failed' });
+  }
+  await finishImport(ctx);
+});
+
+bot.action('import_cancel', async (ctx) => {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await ctx.deleteMessage().catch(()=>{});
+  if (ctx.session.importJob?.staged) {
+    const job = ctx.session.importJob;
+    job.results.skipped += Math.max(0, job.staged.length - (job.reviewIndex || 0));
+    return finishImport(ctx);
+  }
+  ctx.session.importJob = null;
+  ctx.session.await = null;
+  await ctx.reply('Import cancelled.', kbAfterTask);
+});
+
+/* ---- catalog export (/export) ---- */
+const EXPORT_PAGE_SIZE = 1000;
+const EXPORT_COLUMNS = ['id', 'name', 'plan', 'validity', 'price', 'currency', 'billingPeriod', 'originalPrice', 'stock', 'description', 'category', 'subcategory', 'tags', 'features', 'image', 'images', 'is_active'];
+
+// `/export json category:IPTV active` -> { format, ...catalog filters }
+function parseExportArgs(text = '') {
+  const tokens = String(text).trim().split(/\s+/).slice(1);
+  const format = tokens.find(t => /^(csv|json)$/i.test(t))?.toLowerCase() || 'csv';
+  return { format, ...parseCatalogFilters(tokens.filter(t => !/^(csv|json)$/i.test(t))) };
+}
+
+// Same field mapping as rowToReview, flattened into the columns /import reads back.
+function rowToExport(table, row) {
+  const { prod, ai } = rowToReview(table, row);
+  const out = {
+    id: row.id, name: prod.name, plan: prod.plan, validity: prod.validity, price: prod.price, currency: prod.currency, billingPeriod: prod.billingPeriod,
+    originalPrice: prod.originalPrice, stock: prod.stock, description: prod.description,
+    category: prod.category, subcategory: prod.subcategory, tags: prod.tags, features: ai.features,
+    image: prod.image, images: prod.images, is_active: prod.is_active,
+  };
+  return Object.fromEntries(EXPORT_COLUMNS.map(c => [c, out[c] === undefined ? null : out[c]]));
+}
+
+function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const cell = (v) => {
+    if (v === null || v === undefined) return '';
+    const s = Array.isArray(v) ? v.join('; ') : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  // BOM so Excel opens UTF-8 (₹, emoji) correctly.
+  return '\uFEFF' + [columns.join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\r\n');
+}
+
+// '*' rather than a column list: optional columns (currency, billingPeriod, images, ...) exist on some tables
+// only, and an export that silently drops them gets written back by a re-import.
+async function fetchAllRows(table, opts = {}) {
+  const rows = [];
+  for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+    const q = applyCatalogFilters(supabase.from(table).select('*'), table, opts).order('id', { ascending: true }).range(from, from + EXPORT_PAGE_SIZE - 1);
+    const { data, error } = await q;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < EXPORT_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+bot.command('export', async (ctx) => {
+  if (!isAdmin(ctx) || !ctx.session.table) return ctx.reply('Choose table first with /start');
+  const table = ctx.session.table;
+  const opts = parseExportArgs(ctx.message.text);
+  const statusMsg = await ctx.reply('📤 Exporting...');
+  try {
+    const rows = (await fetchAllRows(table, opts)).map(r => rowToExport(table, r));
+    if (!rows.length) return ctx.reply('No rows match those filters.');
+    const stamp = new Date().toISOString().slice(0, 10);
+    const filename = `${table}-${stamp}.${opts.format}`;
+    const body = opts.format === 'json' ? JSON.stringify(rows, null, 2) : toCsv(rows);
+    const filters = describeCatalogFilters(opts);
+    await ctx.replyWithDocument({ source: Buffer.from(body, 'utf8'), filename }, { caption: `${rows.length} rows from ${table}${filters ? ` (${filters})` : ''}` });
+  } catch (e) {
+    console.error('[export] failed:', e);
+    await ctx.reply(`❌ Export failed: ${e.message}`);
+  } finally {
+    await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id).catch(()=>{});
+  }
 });
 
 bot.catch((err, ctx) => {
@@ -1481,10 +4192,20 @@ const setBotCommands = async () => {
     try {
         await bot.telegram.setMyCommands([
             { command: 'start', description: 'Restart the bot & choose table' },
+            { command: 'table', description: '🗂️ Switch table' },
             { command: 'smartadd', description: '⚡️ Add a product with AI' },
-            { command: 'list', description: '📄 List recent products' },
+            { command: 'list', description: '📄 List products (e.g., /list active category:IPTV price<500)' },
+            { command: 'find', description: '🔎 Search products (e.g., /find spotify)' },
             { command: 'update', description: '✏️ Update a product (e.g., /update 123)' },
-            { command: 'toggle', description: '✅/⛔️ Toggle product status (e.g., /toggle 123)' }
+            { command: 'import', description: '📥 Bulk import products from CSV/JSON' },
+            { command: 'export', description: '📤 Export the catalog (e.g., /export json active)' },
+            { command: 'toggle', description: '✅/⛔️ Toggle product status (e.g., /toggle 123)' },
+            { command: 'delete', description: '🗑️ Move a product to trash (e.g., /delete 123)' },
+            { command: 'trash', description: '♻️ Show trash to restore or purge' },
+            { command: 'restore', description: '♻️ Restore from trash (e.g., /restore 123)' },
+            { command: 'history', description: '🕘 Change history & rollback (e.g., /history 123)' },
+            { command: 'categories', description: '🗂️ Category tree (/addcategory, /renamecategory)' },
+            { command: 'brand', description: '🏷️ Brand registry: domains, logos, accents (e.g., /brand spotify)' }
         ]);
         console.log('Bot commands have been set successfully.');
     } catch (e) {
@@ -1492,8 +4213,266 @@ const setBotCommands = async () => {
     }
 };
 
+bot.command('cache', async (ctx) => {
+  const sub = (ctx.message.text.split(/\s+/)[1] || '').toLowerCase();
+  if (sub === 'clear') {
+    try {
+      const n = await clearEvidenceCache();
+      evidenceStats.hits = 0; evidenceStats.misses = 0;
+      return ctx.reply(`🧹 Evidence cache cleared (${n} entries, backend: ${EVIDENCE_CACHE}).`);
+    } catch (e) { return ctx.reply(`❌ Cache clear failed: ${e.message}`); }
+  }
+  await ctx.reply(`🗄️ Evidence cache: ${EVIDENCE_CACHE}, TTL ${Math.round(EVIDENCE_TTL_MS / 3600000)}h — ${evidenceStats.hits} hits / ${evidenceStats.misses} misses since start.\nUse /cache clear to empty it.`);
+});
+
+bot.command('grant', async (ctx) => {
+  const [, rawId, rawRole] = ctx.message.text.trim().split(/\s+/);
+  const userId = Number(rawId);
+  const role = String(rawRole || '').toLowerCase();
+  if (!Number.isFinite(userId) || userId <= 0 || !ROLES.includes(role)) return ctx.reply(`Usage: /grant <user_id> <${ROLES.join('|')}>`);
+  if (ADMIN_IDS.includes(userId)) return ctx.reply('That user is a built-in owner (ADMIN_IDS).');
+  const { error } = await supabase.from(ROLES_TABLE).upsert({ user_id: userId, role, granted_by: ctx.from.id, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) return ctx.reply(`❌ Grant failed: ${error.message}`);
+  roleCache.delete(userId);
+  await ctx.reply(`✅ ${userId} is now ${role}.`);
+});
+
+bot.command('revoke', async (ctx) => {
+  const userId = Number(ctx.message.text.trim().split(/\s+/)[1]);
+  if (!Number.isFinite(userId) || userId <= 0) return ctx.reply('Usage: /revoke <user_id>');
+  if (ADMIN_IDS.includes(userId)) return ctx.reply('Built-in owners (ADMIN_IDS) can only be removed from the environment.');
+  const { error } = await supabase.from(ROLES_TABLE).delete().eq('user_id', userId);
+  if (error) return ctx.reply(`❌ Revoke failed: ${error.message}`);
+  roleCache.delete(userId);
+  await ctx.reply(`✅ Access revoked for ${userId}.`);
+});
+
+bot.command('roles', async (ctx) => {
+  const { data, error } = await supabase.from(ROLES_TABLE).select('user_id,role').order('role');
+  if (error) return ctx.reply(`DB error: ${error.message}`);
+  const lines = [...ADMIN_IDS.map(id => `${id} — owner (ADMIN_IDS)`), ...(data || []).map(r => `${r.user_id} — ${r.role}`)];
+  await ctx.reply(`👥 Roles:\n\n${lines.join('\n')}`);
+});
+
+/* ---- /categories, /addcategory, /renamecategory ---- */
+const CATEGORY_RENAME_RX = /\s*(?:=>|->|→)\s*/;
+const RETAG_CHUNK = 200;
+
+// "OTT Accounts > Music, Video" -> { category: 'OTT Accounts', subcategory: 'Music, Video' }
+function parseCategoryPath(text = '') {
+  const [category = '', subcategory = ''] = String(text).split('>').map(s => s.trim());
+  return { category, subcategory };
+}
+const sameCategoryName = (a, b) => categoryKey(a) === categoryKey(b);
+
+// The first edit copies the built-in tree into the table, so adding one category doesn't replace the other four.
+async function ensureCategoriesSeeded() {
+  const { count, error } = await supabase.from(CATEGORIES_TABLE).select('name', { count: 'exact', head: true });
+  if (error) throw new Error(error.message);
+  if (count) return;
+  const rows = DEFAULT_CATEGORY_TREE.flatMap((c, i) => [{ name: c.name, parent: null, sort: i }, ...c.subcategories.map((s, j) => ({ name: s, parent: c.name, sort: j }))]);
+  const { error: insErr } = await supabase.from(CATEGORIES_TABLE).insert(rows);
+  if (insErr) throw new Error(insErr.message);
+}
+
+// Case-insensitive equality; LIKE wildcards in names are escaped.
+function applyRetagFilter(q, r) {
+  q = q.ilike(r.field, escapeLike(r.from));
+  return r.category ? q.ilike('category', escapeLike(r.category)) : q;
+}
+
+bot.command('categories', async (ctx) => {
+  if (!isAdmin(ctx)) return;
+  await loadCategoryTree(true);
+  await ctx.reply(
+    `🗂️ Categories (subcategories after the colon):\n\n${describeCategoryTree({ bullets: true })}\n\n` +
+    'Add: /addcategory Name  or  /addcategory Category > Sub1, Sub2\n' +
+    'Rename: /renamecategory Old => New  or  /renamecategory Category > Old => New'
+  );
+});
+
+bot.command('addcategory', async (ctx) => {
+  if (!isAdmin(ctx)) return;
+  const { category, subcategory } = parseCategoryPath(ctx.message.text.replace(/^\/\S+\s*/, ''));
+  if (!category) return ctx.reply('Usage: /addcategory <Category>  or  /addcategory <Category> > <Sub1>, <Sub2>');
+  try {
+    await ensureCategoriesSeeded();
+    await loadCategoryTree(true);
+    const existing = categoryTree.find(c => sameCategoryName(c.name, category));
+    const parent = existing?.name || category;
+    const known = existing?.subcategories || [];
+    const subs = [...new Set(subcategory.split(',').map(s => s.trim()).filter(Boolean))].filter(s => !known.some(k => sameCategoryName(k, s)));
+    const rows = [
+      ...(existing ? [] : [{ name: category, parent: null, sort: categoryTree.length }]),
+      ...subs.map((s, i) => ({ name: s, parent, sort: known.length + i })),
+    ];
+    if (!rows.length) return ctx.reply('Nothing new — that is already in /categories.');
+    const { error } = await supabase.from(CATEGORIES_TABLE).insert(rows);
+    if (error) throw new Error(error.message);
+    await loadCategoryTree(true);
+    await ctx.reply(`✅ ${existing ? '' : `Added category "${category}". `}${subs.length ? `Added to ${parent}: ${subs.join(', ')}.` : ''}`.trim());
+  } catch (e) {
+    await ctx.reply(`❌ Could not add category: ${e.message}`);
+  }
+});
+
+bot.command('renamecategory', async (ctx) => {
+  const [from = '', to = ''] = ctx.message.text.replace(/^\/\S+\s*/, '').split(CATEGORY_RENAME_RX);
+  const src = parseCategoryPath(from);
+  const newName = to.trim();
+  if (!src.category || !newName || newName.includes('>')) return ctx.reply('Usage: /renamecategory <Old> => <New>  or  /renamecategory <Category> > <OldSub> => <NewSub>');
+  try {
+    await ensureCategoriesSeeded();
+    await loadCategoryTree(true);
+    const cat = categoryTree.find(c => sameCategoryName(c.name, src.category));
+    if (!cat) return ctx.reply(`❌ No category "${src.category}". See /categories.`);
+
+    let retag;
+    if (src.subcategory) {
+      const oldSub = cat.subcategories.find(s => sameCategoryName(s, src.subcategory));
+      if (!oldSub) return ctx.reply(`❌ ${cat.name} has no subcategory "${src.subcategory}".`);
+      if (cat.subcategories.some(s => s !== oldSub && sameCategoryName(s, newName))) return ctx.reply(`❌ ${cat.name} already has "${newName}".`);
+      const { error } = await supabase.from(CATEGORIES_TABLE).update({ name: newName }).eq('parent', cat.name).eq('name', oldSub);
+      if (error) throw new Error(error.message);
+      retag = { field: 'subcategory', from: oldSub, to: newName, category: cat.name };
+    } else {
+      if (categoryTree.some(c => c !== cat && sameCategoryName(c.name, newName))) return ctx.reply(`❌ "${newName}" already exists.`);
+      const { error } = await supabase.from(CATEGORIES_TABLE).update({ name: newName }).is('parent', null).eq('name', cat.name);
+      if (error) throw new Error(error.message);
+      const { error: subErr } = await supabase.from(CATEGORIES_TABLE).update({ parent: newName }).eq('parent', cat.name);
+      if (subErr) throw new Error(subErr.message);
+      retag = { field: 'category', from: cat.name, to: newName, category: null };
+    }
+    await loadCategoryTree(true);
+
+    const { count } = await applyRetagFilter(supabase.from(TABLES.products).select('id', { count: 'exact', head: true }), retag);
+    if (!count) return ctx.reply(`✅ Renamed "${retag.from}" → "${newName}". No products use the old name.`);
+    ctx.session.categoryRetag = retag;
+    await ctx.reply(
+      `✅ Renamed "${retag.from}" → "${newName}".\n${count} product(s) still use "${retag.from}". Re-tag them now?`,
+      Markup.inlineKeyboard([[Markup.button.callback(`🏷️ Re-tag ${count}`, 'cat_retag_yes'), Markup.button.callback('Leave as is', 'cat_retag_no')]])
+    );
+  } catch (e) {
+    await ctx.reply(`❌ Rename failed: ${e.message}`);
+  }
+});
+
+bot.action('cat_retag_no', async (ctx) => {
+  ctx.session.categoryRetag = null;
+  await ctx.answerCbQuery('Products left unchanged.');
+  await ctx.editMessageReplyMarkup(undefined).catch(()=>{});
+});
+
+bot.action('cat_retag_yes', async (ctx) => {
+  const r = ctx.session.categoryRetag;
+  if (!r) return ctx.answerCbQuery('Nothing to re-tag.');
+  await ctx.answerCbQuery();
+  ctx.session.categoryRetag = null;
+  await ctx.editMessageReplyMarkup(undefined).catch(()=>{});
+  const { data: rows, error } = await applyRetagFilter(supabase.from(TABLES.products).select(`id,${r.field}`), r);
+  if (error) return ctx.reply(`DB error: ${error.message}`);
+  const actor = actorOf(ctx);
+  let done = 0;
+  for (let i = 0; i < rows.length; i += RETAG_CHUNK) {
+    const chunk = rows.slice(i, i + RETAG_CHUNK);
+    const { error: upErr } = await supabase.from(TABLES.products).update({ [r.field]: r.to }).in('id', chunk.map(x => x.id));
+    if (upErr) return ctx.reply(`❌ Re-tag stopped after ${done} of ${rows.length}: ${upErr.message}`);
+    for (const row of chunk) await writeAudit({ actor, table: TABLES.products, productId: row.id, action: 'retag', before: { [r.field]: row[r.field] }, after: { [r.field]: r.to } });
+    done += chunk.length;
+  }
+  await ctx.reply(`🏷️ Re-tagged ${done} product(s): ${r.field} "${r.from}" → "${r.to}".`);
+});
+
+/* ---- /brand ---- */
+// "/brand set YouTube Music domain=music.youtube.com accent=#FF0000 aliases=yt music, youtube premium music"
+const BRAND_KEYS = { domain: 'domain', logo: 'logoUrl', accent: 'accent', hero: 'heroImage', aliases: 'aliases' };
+const BRAND_USAGE = 'Usage:\n/brand — list brands\n/brand <name> — details\n/brand set <name> domain=… logo=<url> accent=#RRGGBB hero=<url> aliases=a, b  (use "-" to clear a field)\n/brand remove <name>';
+
+// Returns { name, fields, errors }. Unknown keys and bad values become errors instead of being dropped silently.
+function parseBrandArgs(text = '') {
+  const [name = '', ...pairs] = String(text).split(/\s+(?=[a-z]+=)/i);
+  const fields = {}, errors = [];
+  for (const pair of pairs) {
+    const i = pair.indexOf('=');
+    const key = pair.slice(0, i).toLowerCase();
+    const raw = pair.slice(i + 1).trim();
+    const field = BRAND_KEYS[key];
+    if (!field) { errors.push(`unknown field "${key}" (use ${Object.keys(BRAND_KEYS).join(', ')})`); continue; }
+    if (raw === '-' || /^none$/i.test(raw)) { fields[field] = field === 'aliases' ? [] : null; continue; }
+    if (field === 'domain') {
+      const host = hostOf(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+      if (!host || !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(host)) errors.push(`"${raw}" is not a domain`);
+      else fields.domain = host.toLowerCase();
+    } else if (field === 'accent') {
+      const hex = raw.replace(/^#?([0-9a-f])([0-9a-f])([0-9a-f])$/i, '#$1$1$2$2$3$3').replace(/^(?!#)/, '#');
+      if (!/^#[0-9a-f]{6}$/i.test(hex)) errors.push(`"${raw}" is not a #RRGGBB colour`);
+      else fields.accent = hex.toUpperCase();
+    } else if (field === 'aliases') {
+      fields.aliases = [...new Set(raw.split(',').map(s => s.trim()).filter(Boolean))];
+    } else if (!/^https?:\/\/\S+$/i.test(raw)) {
+      errors.push(`${key} must be an http(s) URL`);
+    } else {
+      fields[field] = raw;
+    }
+  }
+  return { name: name.trim(), fields, errors };
+}
+
+function describeBrand(b) {
+  return [
+    `🏷️ ${b.name}${b.source === 'default' ? ' (built-in)' : b.source === 'auto' ? ' (learned)' : ''}`,
+    `Domain: ${b.domain || '—'}`,
+    `Aliases: ${b.aliases.length ? b.aliases.join(', ') : '—'}`,
+    `Logo: ${b.logoUrl || '—'}`,
+    `Accent: ${b.accent || '—'}`,
+    `Hero image: ${b.heroImage || '—'}`,
+  ].join('\n');
+}
+
+bot.command('brand', async (ctx) => {
+  if (!isAdmin(ctx)) return;
+  const args = ctx.message.text.replace(/^\/\S+\s*/, '').trim();
+  const [sub = ''] = args.split(/\s+/);
+  await loadBrandRegistry(true);
+
+  if (!args) {
+    const lines = brandRegistry.map(b => `• ${b.name} — ${b.domain || 'no domain'}${b.accent ? ` ${b.accent}` : ''}${b.logoUrl ? ' 🖼️' : ''}${b.heroImage ? ' 🌄' : ''}${b.source === 'auto' ? ' (learned)' : ''}`);
+    return ctx.reply(`🏷️ Brands (${brandRegistry.length}):\n\n${lines.join('\n')}\n\n${BRAND_USAGE}`);
+  }
+
+  if (/^set$/i.test(sub)) {
+    if (!hasRole(ctx, 'editor')) return ctx.reply('🔒 Editing brands needs the editor role.');
+    const { name, fields, errors } = parseBrandArgs(args.replace(/^set\s*/i, ''));
+    if (!name || (!Object.keys(fields).length && !errors.length)) return ctx.reply(BRAND_USAGE);
+    if (errors.length) return ctx.reply(`❌ ${errors.join('\n❌ ')}`);
+    const existing = findBrandByName(name);
+    const now = new Date().toISOString();
+    const { error } = existing?.id
+      ? await supabase.from(BRANDS_TABLE).update({ ...toBrandColumns(fields), source: 'manual', updated_at: now }).eq('id', existing.id)
+      : await supabase.from(BRANDS_TABLE).insert([{ name: existing?.name || name, source: 'manual', ...toBrandColumns({ ...existing, ...fields }), updated_at: now }]);
+    if (error) return ctx.reply(`❌ Could not save brand: ${error.message}`);
+    await loadBrandRegistry(true);
+    return ctx.reply(`✅ Saved.\n\n${describeBrand(findBrandByName(existing?.name || name))}`);
+  }
+
+  if (/^(remove|rm|delete)$/i.test(sub)) {
+    if (!hasRole(ctx, 'owner')) return ctx.reply('🔒 Removing brands needs the owner role.');
+    const name = args.replace(/^\S+\s*/, '');
+    const brand = findBrandByName(name);
+    if (!brand) return ctx.reply(`❌ No brand "${name}".`);
+    if (!brand.id) return ctx.reply(`ℹ️ ${brand.name} is built in. Override it with /brand set ${brand.name} domain=… instead.`);
+    const { error } = await supabase.from(BRANDS_TABLE).delete().eq('id', brand.id);
+    if (error) return ctx.reply(`❌ Could not remove brand: ${error.message}`);
+    await loadBrandRegistry(true);
+    const fallback = findBrandByName(brand.name);
+    return ctx.reply(`🗑️ Removed ${brand.name}.${fallback ? ' The built-in entry applies again.' : ''}`);
+  }
+
+  const brand = findBrandByName(args) || findBrand(args);
+  await ctx.reply(brand ? describeBrand(brand) : `No brand matches "${args}". Add it with /brand set ${args} domain=…`);
+});
+
 bot.command('setcommands', async (ctx) => {
-    if (!isAdmin(ctx)) return;
     await setBotCommands();
     await ctx.reply('✅ Bot commands have been manually refreshed.');
 });
@@ -1506,6 +4485,7 @@ if (process.env.MODE === "webhook") {
   // Local / Railway: long-polling
   (async () => {
     try {
+      if (sessionStore) purgeExpiredSessions().catch(()=>{});
       await bot.launch({ dropPendingUpdates: true });
       console.log("🤖 Bot running in long-polling mode...");
     } catch (e) {